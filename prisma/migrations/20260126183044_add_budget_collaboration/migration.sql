@@ -0,0 +1,14 @@
+-- AlterTable
+ALTER TABLE "Expense" ADD COLUMN     "createdById" TEXT;
+
+-- AlterTable
+ALTER TABLE "TripParticipant" ADD COLUMN     "userId" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "TripParticipant_budgetId_userId_key" ON "TripParticipant"("budgetId", "userId");
+
+-- AddForeignKey
+ALTER TABLE "TripParticipant" ADD CONSTRAINT "TripParticipant_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Expense" ADD CONSTRAINT "Expense_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "Expense" ADD COLUMN     "currency" TEXT,
+ADD COLUMN     "splitMode" TEXT NOT NULL DEFAULT 'equal',
+ADD COLUMN     "splitValues" JSONB;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "TripBudget" ADD COLUMN     "categoryAllocations" JSONB;
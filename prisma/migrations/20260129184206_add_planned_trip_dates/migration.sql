@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "PlannedTrip" ADD COLUMN     "endDate" DATE,
+ADD COLUMN     "startDate" DATE;
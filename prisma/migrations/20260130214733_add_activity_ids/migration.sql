@@ -0,0 +1,49 @@
+-- Give every existing itinerary activity a stable id
+UPDATE "PlannedTrip" p
+SET "itinerary" = (
+  SELECT COALESCE(jsonb_agg(
+    CASE
+      WHEN jsonb_typeof(d.value -> 'activities') = 'array' THEN jsonb_set(d.value, '{activities}', (
+        SELECT COALESCE(jsonb_agg(
+          CASE WHEN a.value ? 'id' THEN a.value ELSE a.value || jsonb_build_object('id', gen_random_uuid()::text) END
+          ORDER BY a.ordinality
+        ), '[]'::jsonb)
+        FROM jsonb_array_elements(d.value -> 'activities') WITH ORDINALITY AS a
+      ))
+      ELSE d.value
+    END
+    ORDER BY d.ordinality
+  ), '[]'::jsonb)
+  FROM jsonb_array_elements(p."itinerary") WITH ORDINALITY AS d
+)
+WHERE jsonb_typeof(p."itinerary") = 'array';
+
+-- DropIndex
+DROP INDEX "ActivityVote_tripId_day_activityIndex_userId_key";
+
+-- AlterTable
+ALTER TABLE "ActivityVote" ADD COLUMN     "activityId" TEXT;
+
+-- Point existing votes at the activity currently at their (day, activityIndex)
+UPDATE "ActivityVote" v
+SET "activityId" = positions."activityId"
+FROM (
+  SELECT p."id" AS "tripId",
+         (d.value ->> 'day')::int AS "day",
+         (a.ordinality - 1)::int AS "activityIndex",
+         a.value ->> 'id' AS "activityId"
+  FROM "PlannedTrip" p
+  CROSS JOIN LATERAL jsonb_array_elements(CASE WHEN jsonb_typeof(p."itinerary") = 'array' THEN p."itinerary" ELSE '[]'::jsonb END) AS d
+  CROSS JOIN LATERAL jsonb_array_elements(CASE WHEN jsonb_typeof(d.value -> 'activities') = 'array' THEN d.value -> 'activities' ELSE '[]'::jsonb END) WITH ORDINALITY AS a
+) AS positions
+WHERE v."tripId" = positions."tripId"
+  AND v."day" = positions."day"
+  AND v."activityIndex" = positions."activityIndex";
+
+-- Votes that no longer match an activity can't be kept
+DELETE FROM "ActivityVote" WHERE "activityId" IS NULL;
+
+ALTER TABLE "ActivityVote" ALTER COLUMN "activityId" SET NOT NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ActivityVote_tripId_activityId_userId_key" ON "ActivityVote"("tripId", "activityId", "userId");
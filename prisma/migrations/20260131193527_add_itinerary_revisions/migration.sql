@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "ItineraryRevision" (
+    "id" TEXT NOT NULL,
+    "tripId" TEXT NOT NULL,
+    "authorId" TEXT,
+    "source" TEXT NOT NULL,
+    "itinerary" JSONB NOT NULL,
+    "checklist" JSONB NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ItineraryRevision_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ItineraryRevision_tripId_createdAt_idx" ON "ItineraryRevision"("tripId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "ItineraryRevision" ADD CONSTRAINT "ItineraryRevision_tripId_fkey" FOREIGN KEY ("tripId") REFERENCES "PlannedTrip"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ItineraryRevision" ADD CONSTRAINT "ItineraryRevision_authorId_fkey" FOREIGN KEY ("authorId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
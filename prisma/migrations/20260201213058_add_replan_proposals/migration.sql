@@ -0,0 +1,26 @@
+-- CreateTable
+CREATE TABLE "ReplanProposal" (
+    "id" TEXT NOT NULL,
+    "tripId" TEXT NOT NULL,
+    "createdById" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "baseVersion" INTEGER NOT NULL,
+    "changes" JSONB NOT NULL,
+    "decidedById" TEXT,
+    "decidedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ReplanProposal_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ReplanProposal_tripId_status_idx" ON "ReplanProposal"("tripId", "status");
+
+-- AddForeignKey
+ALTER TABLE "ReplanProposal" ADD CONSTRAINT "ReplanProposal_tripId_fkey" FOREIGN KEY ("tripId") REFERENCES "PlannedTrip"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ReplanProposal" ADD CONSTRAINT "ReplanProposal_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ReplanProposal" ADD CONSTRAINT "ReplanProposal_decidedById_fkey" FOREIGN KEY ("decidedById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,29 @@
+-- CreateTable
+CREATE TABLE "ActivityComment" (
+    "id" TEXT NOT NULL,
+    "tripId" TEXT NOT NULL,
+    "activityId" TEXT NOT NULL,
+    "day" INTEGER NOT NULL,
+    "parentId" TEXT,
+    "authorId" TEXT,
+    "body" TEXT NOT NULL,
+    "mentions" TEXT[],
+    "editedAt" TIMESTAMP(3),
+    "deletedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ActivityComment_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ActivityComment_tripId_activityId_idx" ON "ActivityComment"("tripId", "activityId");
+
+-- AddForeignKey
+ALTER TABLE "ActivityComment" ADD CONSTRAINT "ActivityComment_tripId_fkey" FOREIGN KEY ("tripId") REFERENCES "PlannedTrip"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ActivityComment" ADD CONSTRAINT "ActivityComment_parentId_fkey" FOREIGN KEY ("parentId") REFERENCES "ActivityComment"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ActivityComment" ADD CONSTRAINT "ActivityComment_authorId_fkey" FOREIGN KEY ("authorId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "TripCollaborator" ADD COLUMN     "expiresAt" TIMESTAMP(3),
+ADD COLUMN     "lastSentAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+ADD COLUMN     "requireEmailMatch" BOOLEAN NOT NULL DEFAULT false;
+
+-- Invites that are still open get the default 7 days from now instead of never expiring
+UPDATE "TripCollaborator" SET "expiresAt" = CURRENT_TIMESTAMP + INTERVAL '7 days' WHERE "status" = 'pending';
+UPDATE "TripCollaborator" SET "lastSentAt" = "createdAt";
@@ -0,0 +1,33 @@
+-- AlterTable
+ALTER TABLE "TripCollaborator" ADD COLUMN     "joinLinkId" TEXT;
+
+-- CreateTable
+CREATE TABLE "TripJoinLink" (
+    "id" TEXT NOT NULL,
+    "tripId" TEXT NOT NULL,
+    "token" TEXT NOT NULL,
+    "role" TEXT NOT NULL DEFAULT 'viewer',
+    "maxUses" INTEGER,
+    "useCount" INTEGER NOT NULL DEFAULT 0,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "disabledAt" TIMESTAMP(3),
+    "createdById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "TripJoinLink_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "TripJoinLink_token_key" ON "TripJoinLink"("token");
+
+-- CreateIndex
+CREATE INDEX "TripJoinLink_tripId_idx" ON "TripJoinLink"("tripId");
+
+-- AddForeignKey
+ALTER TABLE "TripCollaborator" ADD CONSTRAINT "TripCollaborator_joinLinkId_fkey" FOREIGN KEY ("joinLinkId") REFERENCES "TripJoinLink"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "TripJoinLink" ADD CONSTRAINT "TripJoinLink_tripId_fkey" FOREIGN KEY ("tripId") REFERENCES "PlannedTrip"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "TripJoinLink" ADD CONSTRAINT "TripJoinLink_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
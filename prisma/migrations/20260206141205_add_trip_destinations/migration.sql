@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Trip" ADD COLUMN     "destinations" JSONB NOT NULL DEFAULT '[]';
@@ -0,0 +1,25 @@
+-- CreateTable
+CREATE TABLE "AssistantAction" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "tripId" TEXT NOT NULL,
+    "tool" TEXT NOT NULL,
+    "args" JSONB NOT NULL,
+    "summary" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "result" JSONB,
+    "error" TEXT,
+    "decidedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AssistantAction_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "AssistantAction_userId_status_idx" ON "AssistantAction"("userId", "status");
+
+-- AddForeignKey
+ALTER TABLE "AssistantAction" ADD CONSTRAINT "AssistantAction_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "AssistantAction" ADD CONSTRAINT "AssistantAction_tripId_fkey" FOREIGN KEY ("tripId") REFERENCES "PlannedTrip"("id") ON DELETE CASCADE ON UPDATE CASCADE;
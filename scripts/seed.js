@@ -84,6 +84,7 @@ async function main() {
   // Clear existing data (optional - comment out if you want to keep existing data)
   console.log('Clearing existing data...');
   await prisma.tripPhoto.deleteMany();
+  await prisma.settlement.deleteMany();
   await prisma.expense.deleteMany();
   await prisma.tripParticipant.deleteMany();
   await prisma.tripBudget.deleteMany();
@@ -158,7 +159,7 @@ async function main() {
             { time: '2:00 PM', activity: 'Lunch break', description: 'Try local specialties', location: 'Restaurant Row' },
             { time: '4:00 PM', activity: 'Visit museums', description: 'Cultural exploration', location: 'Museum District' },
             { time: '7:00 PM', activity: 'Dinner and nightlife', description: 'Evening entertainment', location: 'Entertainment District' }
-          ]
+          ].map(activity => ({ id: randomUUID(), ...activity }))
         });
       }
 
@@ -1,6 +1,9 @@
 import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
+import { frontendUrls } from './lib/mailer.js';
+import { aiProviderName, getAiUsage } from './lib/ai.js';
+import { authenticateToken } from './middleware/auth.js';
 import authRoutes from './routes/auth.js';
 import profileRoutes from './routes/profile.js';
 import tripRoutes from './routes/trips.js';
@@ -17,6 +20,9 @@ import packingTemplatesRoutes from './routes/packingTemplates.js';
 import photoJournalRoutes from './routes/photoJournal.js';
 import leaderboardsRoutes from './routes/leaderboards.js';
 import smartPackingRoutes from './routes/smartPacking.js';
+import commentsRoutes from './routes/comments.js';
+import notificationsRoutes from './routes/notifications.js';
+import conversationsRoutes from './routes/conversations.js';
 
 dotenv.config();
 
@@ -28,7 +34,7 @@ const allowedOrigins = [
   'http://localhost:3000',
   'http://127.0.0.1:3000',
   'http://localhost:5173',  // Vite default
-  ...(process.env.FRONTEND_URL ? [process.env.FRONTEND_URL] : []),
+  ...(process.env.FRONTEND_URL ? frontendUrls() : []),
   'https://wandergenius.vercel.app',
 ];
 
@@ -62,9 +68,16 @@ app.use('/api/packing-templates', packingTemplatesRoutes);
 app.use('/api/photo-journal', photoJournalRoutes);
 app.use('/api/leaderboards', leaderboardsRoutes);
 app.use('/api/smart-packing', smartPackingRoutes);
+app.use('/api/comments', commentsRoutes);
+app.use('/api/notifications', notificationsRoutes);
+app.use('/api/conversations', conversationsRoutes);
 app.get('/api/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
+// AI usage counters reveal traffic and cost, so they are for signed-in users only
+app.get('/api/health/ai', authenticateToken, (req, res) => {
+  res.json({ provider: aiProviderName(), usage: getAiUsage() });
+});
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -0,0 +1,316 @@
+import { GoogleGenAI } from '@google/genai';
+import { createHash } from 'crypto';
+import { createFakeProvider } from './aiFake.js';
+
+// Shared client for every Gemini call. Routes and libs call generate() with a feature
+// name instead of building their own client. This module picks the model, enforces a
+// timeout, retries transient failures, caches identical prompts and counts tokens.
+//
+// AI_PROVIDER=fake swaps Gemini for deterministic canned answers, so the API runs offline.
+
+export const AI_FEATURES = {
+  TRIPS: 'trips',
+  SUGGESTIONS: 'suggestions',
+  DESTINATIONS: 'destinations',
+  ITINERARY: 'itinerary',
+  CHAT: 'chat',
+  TIPS: 'tips',
+  PACKING: 'packing',
+  BUDGET: 'budget',
+  REPLAN: 'replan'
+};
+
+const DEFAULT_MODEL = 'gemini-2.5-flash';
+const DEFAULT_TIMEOUT_MS = 60000;
+const DEFAULT_MAX_RETRIES = 2;
+const DEFAULT_RETRY_BASE_MS = 500;
+const DEFAULT_CACHE_TTL_MS = 5 * 60 * 1000;
+const DEFAULT_CACHE_MAX_ENTRIES = 100;
+
+// HTTP statuses worth retrying: rate limits and server-side failures
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+export class AiError extends Error {
+  constructor(message, { status = null, cause } = {}) {
+    super(message, { cause });
+    this.status = status;
+  }
+}
+
+export class AiTimeoutError extends AiError {}
+
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+// Model for a feature: AI_MODEL_<FEATURE> (e.g. AI_MODEL_CHAT), then AI_MODEL, then the default
+export function modelFor(feature) {
+  return process.env[`AI_MODEL_${feature.toUpperCase()}`] || process.env.AI_MODEL || DEFAULT_MODEL;
+}
+
+// Helper: The Gemini API behind the provider interface
+function createGeminiProvider() {
+  let ai = null;
+  return {
+    name: 'gemini',
+    async generateContent({ model, contents, config, signal }) {
+      if (!ai) ai = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY });
+      return ai.models.generateContent({ model, contents, config: { ...config, abortSignal: signal } });
+    },
+    async generateContentStream({ model, contents, config, signal }) {
+      if (!ai) ai = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY });
+      return ai.models.generateContentStream({ model, contents, config: { ...config, abortSignal: signal } });
+    }
+  };
+}
+
+let provider = null;
+
+function getProvider() {
+  if (!provider) {
+    const name = process.env.AI_PROVIDER || 'gemini';
+    if (name === 'fake') provider = createFakeProvider();
+    else if (name === 'gemini') provider = createGeminiProvider();
+    else throw new AiError(`Unknown AI provider: ${name}`);
+  }
+  return provider;
+}
+
+// Replace the provider, e.g. with a stub exposing generateContent({ feature, model, contents, config, signal }).
+// generateContentStream() with the same arguments is optional; without it streams get one chunk.
+export function setAiProvider(replacement) {
+  provider = replacement;
+  cache.clear();
+}
+
+export const aiProviderName = () => getProvider().name || 'custom';
+
+// Response cache (prompt hash -> response). Map order doubles as recency, so the least
+// recently used entry is the first one.
+const cache = new Map();
+
+const cacheKey = (parts) => createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+
+function readCache(key) {
+  const entry = cache.get(key);
+  if (!entry) return null;
+  cache.delete(key);
+  if (entry.expiresAt < Date.now()) return null;
+  cache.set(key, entry);
+  return entry.response;
+}
+
+function writeCache(key, response) {
+  const ttl = envInt('AI_CACHE_TTL_MS', DEFAULT_CACHE_TTL_MS);
+  if (ttl === 0) return;
+  cache.set(key, { response, expiresAt: Date.now() + ttl });
+  while (cache.size > envInt('AI_CACHE_MAX_ENTRIES', DEFAULT_CACHE_MAX_ENTRIES)) {
+    cache.delete(cache.keys().next().value);
+  }
+}
+
+// Token usage and call counts per feature, since the process started
+const usage = {};
+
+function recordUsage(feature, { usageMetadata, cached = false, failed = false, retries = 0 }) {
+  const entry = usage[feature] || (usage[feature] = {
+    calls: 0, cacheHits: 0, failures: 0, retries: 0, promptTokens: 0, outputTokens: 0, totalTokens: 0
+  });
+  entry.calls += 1;
+  entry.retries += retries;
+  if (cached) entry.cacheHits += 1;
+  if (failed) entry.failures += 1;
+  if (usageMetadata) {
+    entry.promptTokens += usageMetadata.promptTokenCount || 0;
+    entry.outputTokens += usageMetadata.candidatesTokenCount || 0;
+    entry.totalTokens += usageMetadata.totalTokenCount || 0;
+  }
+}
+
+export const getAiUsage = () => JSON.parse(JSON.stringify(usage));
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const isRetryable = (error) => (
+  error instanceof AiTimeoutError ||
+  RETRYABLE_STATUSES.includes(error.status) ||
+  ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN'].includes(error.cause?.code ?? error.code) ||
+  error.message === 'fetch failed'
+);
+
+// Helper: Wait for `promise`, aborting `controller` if it takes longer than `timeoutMs`
+async function withTimeout(promise, timeoutMs, controller) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new AiTimeoutError(`AI request timed out after ${timeoutMs}ms`));
+    }, timeoutMs);
+  });
+
+  try {
+    return await Promise.race([promise, timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Helper: One provider call that is aborted after `timeoutMs`
+function callWithTimeout(request, timeoutMs) {
+  const controller = new AbortController();
+  return withTimeout(getProvider().generateContent({ ...request, signal: controller.signal }), timeoutMs, controller);
+}
+
+// Helper: The provider's response chunks, or its whole response as one chunk if it can't stream
+async function openStream(request) {
+  const current = getProvider();
+  if (current.generateContentStream) return current.generateContentStream(request);
+  const response = await current.generateContent(request);
+  return (async function* () {
+    yield response;
+  })();
+}
+
+// Helper: Whether an answer passes the caller's `validate` check and may be cached
+function isValid(text, validate) {
+  if (!validate) return true;
+  try {
+    validate(text);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const toAiError = (error) => (
+  error instanceof AiError
+    ? error
+    : new AiError(error.message || 'AI request failed', { status: error.status ?? null, cause: error })
+);
+
+// Generate content for a feature. Takes the same `contents` and `config` as Gemini's
+// generateContent (the model comes from the feature). Returns
+// { text, candidates, functionCalls, usageMetadata, cached }. Pass `cache: false` when the
+// same prompt should give a fresh answer each time. An answer is only cached if
+// `validate(text)` (when given) doesn't throw, so a caller that rejects it gets a new one.
+export async function generate(feature, { contents, config = {}, cache: useCache = true, timeoutMs, validate } = {}) {
+  const model = modelFor(feature);
+  const key = useCache ? cacheKey([aiProviderName(), feature, model, contents, config]) : null;
+
+  const cached = key && readCache(key);
+  if (cached) {
+    recordUsage(feature, { cached: true });
+    return { ...cached, cached: true };
+  }
+
+  const maxRetries = envInt('AI_MAX_RETRIES', DEFAULT_MAX_RETRIES);
+  const retryBaseMs = envInt('AI_RETRY_BASE_MS', DEFAULT_RETRY_BASE_MS);
+  const timeout = timeoutMs ?? envInt('AI_TIMEOUT_MS', DEFAULT_TIMEOUT_MS);
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const response = await callWithTimeout({ feature, model, contents, config }, timeout);
+      const result = {
+        text: response.text || '',
+        candidates: response.candidates || [],
+        functionCalls: response.functionCalls || [],
+        usageMetadata: response.usageMetadata || null
+      };
+
+      recordUsage(feature, { usageMetadata: result.usageMetadata, retries: attempt });
+      if (key && result.text && isValid(result.text, validate)) writeCache(key, result);
+      return { ...result, cached: false };
+    } catch (error) {
+      if (attempt < maxRetries && isRetryable(error)) {
+        // Exponential backoff with jitter: base, 2x base, 4x base... plus up to one base
+        await sleep(retryBaseMs * 2 ** attempt + Math.random() * retryBaseMs);
+        continue;
+      }
+
+      recordUsage(feature, { failed: true, retries: attempt });
+      throw toAiError(error);
+    }
+  }
+}
+
+// Stream generated text for a feature, yielding each piece as it arrives. Takes the same
+// options as generate(), plus an optional abort `signal` (e.g. for when the client goes
+// away). `timeoutMs` applies to each wait for the next piece. Failures before the first
+// piece are retried like generate(); after that the error is thrown to the caller. A
+// cached answer is yielded as one piece. `validate` is checked on the whole text.
+export async function* generateStream(feature, { contents, config = {}, cache: useCache = true, timeoutMs, signal, validate } = {}) {
+  const model = modelFor(feature);
+  const key = useCache ? cacheKey([aiProviderName(), feature, model, contents, config]) : null;
+
+  const cached = key && readCache(key);
+  if (cached) {
+    recordUsage(feature, { cached: true });
+    yield cached.text;
+    return;
+  }
+
+  const maxRetries = envInt('AI_MAX_RETRIES', DEFAULT_MAX_RETRIES);
+  const retryBaseMs = envInt('AI_RETRY_BASE_MS', DEFAULT_RETRY_BASE_MS);
+  const timeout = timeoutMs ?? envInt('AI_TIMEOUT_MS', DEFAULT_TIMEOUT_MS);
+
+  let text = '';
+  let usageMetadata = null;
+
+  for (let attempt = 0; ; attempt++) {
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    signal?.addEventListener('abort', abort);
+
+    try {
+      const stream = await withTimeout(openStream({ feature, model, contents, config, signal: controller.signal }), timeout, controller);
+      const iterator = stream[Symbol.asyncIterator]();
+
+      while (true) {
+        const { value: chunk, done } = await withTimeout(iterator.next(), timeout, controller);
+        if (done) break;
+        if (chunk.usageMetadata) usageMetadata = chunk.usageMetadata;
+        if (chunk.text) {
+          text += chunk.text;
+          yield chunk.text;
+        }
+      }
+
+      recordUsage(feature, { usageMetadata, retries: attempt });
+      if (key && text && isValid(text, validate)) {
+        writeCache(key, {
+          text,
+          candidates: [{ content: { role: 'model', parts: [{ text }] } }],
+          functionCalls: [],
+          usageMetadata
+        });
+      }
+      return;
+    } catch (error) {
+      if (text === '' && !signal?.aborted && attempt < maxRetries && isRetryable(error)) {
+        await sleep(retryBaseMs * 2 ** attempt + Math.random() * retryBaseMs);
+        continue;
+      }
+
+      recordUsage(feature, { failed: true, retries: attempt });
+      throw toAiError(error);
+    } finally {
+      // Also stops the provider when the caller stops reading early
+      signal?.removeEventListener('abort', abort);
+      controller.abort();
+    }
+  }
+}
+
+// Parse JSON from model output, ignoring Markdown code fences and any text around the
+// outermost object or array. Throws SyntaxError if there is none.
+export function parseJson(text) {
+  const cleanedText = (text || '').replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+  try {
+    return JSON.parse(cleanedText);
+  } catch (parseError) {
+    const match = cleanedText.match(/[[{][\s\S]*[\]}]/);
+    if (!match) throw parseError;
+    return JSON.parse(match[0]);
+  }
+}
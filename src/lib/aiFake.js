@@ -0,0 +1,278 @@
+import { createHash } from 'crypto';
+
+// Deterministic stand-in for Gemini (AI_PROVIDER=fake). Each feature gets an answer in
+// the format its prompt asks for, built from details read back out of the prompt, so the
+// same request always gets the same answer and the whole API works offline.
+
+const PLACES = [
+  { name: 'Asheville', region: 'North Carolina', latitude: 35.5951, longitude: -82.5515 },
+  { name: 'Charleston', region: 'South Carolina', latitude: 32.7765, longitude: -79.9311 },
+  { name: 'Savannah', region: 'Georgia', latitude: 32.0809, longitude: -81.0912 },
+  { name: 'Sedona', region: 'Arizona', latitude: 34.8697, longitude: -111.7610 },
+  { name: 'Moab', region: 'Utah', latitude: 38.5733, longitude: -109.5498 },
+  { name: 'Bar Harbor', region: 'Maine', latitude: 44.3876, longitude: -68.2039 },
+  { name: 'Santa Fe', region: 'New Mexico', latitude: 35.6870, longitude: -105.9378 },
+  { name: 'Lake Tahoe', region: 'California', latitude: 39.0968, longitude: -120.0324 }
+];
+
+const SLOTS = [
+  { time: '09:00', activity: 'Morning walk through the old town' },
+  { time: '12:00', activity: 'Lunch at a local favourite' },
+  { time: '14:00', activity: 'Visit the main museum' },
+  { time: '17:00', activity: 'Scenic viewpoint at golden hour' },
+  { time: '19:30', activity: 'Dinner with regional dishes' }
+];
+
+const CHECKLIST = [
+  ['Comfortable walking shoes', 'clothing'],
+  ['Light rain jacket', 'clothing'],
+  ['Sunscreen', 'toiletries'],
+  ['Toothbrush and toothpaste', 'toiletries'],
+  ['Passport/ID', 'documents'],
+  ['Hotel reservation confirmations', 'documents'],
+  ['Phone charger and power bank', 'gear'],
+  ['Day backpack', 'gear']
+];
+
+const BUDGET_DAILY = { Accommodation: [90, 160], Food: [40, 80], Activities: [20, 60], Transportation: [10, 30] };
+
+// Characters per streamed piece
+const STREAM_CHUNK_SIZE = 40;
+
+// Helper: A stable number for a prompt, used to vary answers between prompts
+const seedOf = (value) => parseInt(createHash('sha256').update(JSON.stringify(value)).digest('hex').slice(0, 8), 16);
+
+// Helper: `count` distinct items from `list`, starting at a position picked by `seed`
+const pick = (list, seed, count) => Array.from({ length: Math.min(count, list.length) }, (_, i) => list[(seed + i) % list.length]);
+
+// Helper: The text of the request, whether `contents` is a string or a list of turns
+function promptText(contents) {
+  if (typeof contents === 'string') return contents;
+  return (contents || [])
+    .flatMap(turn => turn.parts || [])
+    .map(part => part.text || '')
+    .join('\n');
+}
+
+// Helper: The last user turn, for chat
+function lastUserText(contents) {
+  if (typeof contents === 'string') return contents;
+  const turn = [...(contents || [])].reverse().find(t => t.role === 'user' && t.parts?.some(p => p.text));
+  return turn?.parts.map(p => p.text || '').join('') || '';
+}
+
+const matchOr = (text, pattern, fallback) => text.match(pattern)?.[1]?.trim() || fallback;
+
+const answers = {
+  trips(text, seed) {
+    const from = matchOr(text, /starting from ([^.\n]+)\./, 'your starting point');
+    return pick(PLACES, seed, 3).map(place => [
+      `## ${place.name}, ${place.region}`,
+      `- **Why it fits:** ${place.name} matches your interests with easy days and plenty to explore.`,
+      `- **Travel Info:** About 4 hours by car from ${from}`,
+      '- **Suggested Duration:** 3 days',
+      '- **Budget Estimate:** $120-200/day (Mid-Range)',
+      '- **Key Highlights:**',
+      `  - Historic center of ${place.name}`,
+      '  - Local food tour',
+      '  - Sunset viewpoint'
+    ].join('\n')).join('\n\n');
+  },
+
+  destinations(text) {
+    const names = [...text.matchAll(/^\s*## (.+)$/gm)].map(m => m[1].trim());
+    return JSON.stringify({
+      destinations: names.map((full, i) => {
+        const [name, region = 'Unknown region'] = full.split(/,\s*/);
+        const place = PLACES.find(p => p.name === name) || { latitude: 40 + i, longitude: -100 - i };
+        return {
+          name,
+          region,
+          reasoning: `${name} matches your interests with easy days and plenty to explore.`,
+          highlights: [`Historic center of ${name}`, 'Local food tour', 'Sunset viewpoint'],
+          bestSeason: 'Spring and fall',
+          travelTime: 'About 4 hours by car',
+          coordinates: { latitude: place.latitude, longitude: place.longitude }
+        };
+      })
+    });
+  },
+
+  suggestions(text, seed) {
+    return JSON.stringify(pick(PLACES, seed, 3).map(place => ({
+      title: `A long weekend in ${place.name}`,
+      description: `Your highest-rated trips had walkable towns and good food, like ${place.name}.`,
+      highlights: ['Walkable neighbourhoods', 'Local cuisine', 'Day hikes nearby'],
+      estimatedDays: 3
+    })));
+  },
+
+  itinerary(text) {
+    const days = parseInt(matchOr(text, /(\d+)-day travel itinerary/, '3'));
+    const destination = matchOr(text, /itinerary for visiting ([^\n]+?)\.\s*\n/, 'your destination');
+    return JSON.stringify({
+      itinerary: Array.from({ length: days }, (_, i) => ({
+        day: i + 1,
+        title: i === 0 ? `Arrival in ${destination}` : `Exploring ${destination}, day ${i + 1}`,
+        activities: SLOTS.map(slot => ({
+          ...slot,
+          description: `${slot.activity} in ${destination}.`,
+          location: destination
+        })),
+        tips: 'Book popular spots a day ahead.'
+      })),
+      checklist: CHECKLIST.map(([task, category], i) => ({ id: i + 1, task, category, completed: false }))
+    });
+  },
+
+  chat(text, seed, contents) {
+    const question = lastUserText(contents).trim().replace(/\s+/g, ' ').slice(0, 120);
+    return `Here's a quick take on "${question}": plan the must-sees early in the day, leave an afternoon free, and check opening hours before you go. ✈️`;
+  },
+
+  tips(text) {
+    const topic = matchOr(text, /travel tips about "([^"]+)"/, 'travel');
+    return JSON.stringify([
+      `Research ${topic} before you leave so there are no surprises.`,
+      `Keep a digital copy of anything important for ${topic}.`,
+      'Ask locals - they know what guidebooks miss.'
+    ]);
+  },
+
+  packing(text) {
+    return JSON.stringify({
+      items: CHECKLIST.map(([task, category], i) => ({
+        task: `${task} (extra)`,
+        category,
+        reason: 'Useful for the planned activities.',
+        priority: i < 3 ? 'essential' : 'recommended',
+        weatherRelated: category === 'clothing'
+      })),
+      tips: ['Roll clothes to save space.', 'Pack a small first-aid kit.'],
+      warnings: ["Don't forget your phone charger."],
+      weatherSummary: 'Mild with a chance of rain - pack layers.'
+    });
+  },
+
+  budget(text) {
+    const days = parseInt(matchOr(text, /for each of the (\d+) days/, '1'));
+    return JSON.stringify({
+      perDay: Array.from({ length: days }, (_, i) => ({
+        day: i + 1,
+        categories: Object.fromEntries(Object.entries(BUDGET_DAILY).map(([category, [low, high]]) => [category, { low, high }])),
+        notes: 'Typical mid-range day'
+      })),
+      oneTime: [
+        { category: 'Transportation', description: 'Round trip from the starting location', low: 150, high: 300 }
+      ],
+      assumptions: ['Mid-range prices', 'Two meals out per day']
+    });
+  },
+
+  replan(text) {
+    let targets = [];
+    try {
+      targets = JSON.parse(matchOr(text, /ACTIVITIES TO REPLACE:\s*(\[.*\])/, '[]'));
+    } catch {
+      targets = [];
+    }
+    return JSON.stringify({
+      replacements: targets.map(target => ({
+        activityId: target.activityId,
+        activity: `Alternative to ${target.activity}`,
+        description: 'A different option the whole group is likely to enjoy.',
+        location: target.location || 'Nearby',
+        reason: 'More of the group voted against the original.'
+      }))
+    });
+  }
+};
+
+// Helper: Function calls for a chat message when tools are offered, picked by simple
+// phrases ("weather in Lisbon", "where is ...", "add Kayaking at 15:00 to day 2", "mark item 3
+// as done", "I spent 25 on lunch"). Null when no offered tool matches.
+function fakeFunctionCalls(message, toolNames) {
+  const patterns = [
+    ['get_weather', /\bweather\b(?:\s+(?:in|for|at)\s+([^?.!]+))?/i, m => (m[1] ? { location: m[1].trim() } : {})],
+    ['geocode_place', /\bwhere is\s+([^?.!]+)/i, m => ({ address: m[1].trim() })],
+    ['add_activity', /\badd\s+(.+?)\s+at\s+(\d{2}:\d{2})\s+to day\s+(\d+)/i,
+      m => ({ day: parseInt(m[3]), time: m[2], activity: m[1].trim() })],
+    ['toggle_checklist_item', /\bmark item\s+(\S+)\s+as\s+(not )?done/i,
+      m => ({ itemId: /^\d+$/.test(m[1]) ? parseInt(m[1]) : m[1], completed: !m[2] })],
+    ['add_expense', /\bspent\s+(\d+(?:\.\d+)?)\s+on\s+([^?.!]+)/i,
+      m => ({ amount: parseFloat(m[1]), category: 'Other', description: m[2].trim() })]
+  ];
+
+  const match = patterns
+    .filter(([name]) => toolNames.includes(name))
+    .map(([name, pattern, toArgs]) => ({ name, match: message.match(pattern), toArgs }))
+    .find(c => c.match);
+  return match ? [{ id: `call-${seedOf([message, match.name])}`, name: match.name, args: match.toArgs(match.match) }] : null;
+}
+
+// Helper: The reply after tool results come back: one line per result
+function describeToolResults(parts) {
+  return parts.map(({ functionResponse: { name, response } }) => {
+    if (response.error) return `I couldn't use ${name}: ${response.error}.`;
+    if (response.status === 'awaiting_confirmation') return `I've proposed this change: ${response.summary}. Please confirm it to apply it.`;
+    return `Here's what ${name} found: ${JSON.stringify(response).slice(0, 300)}`;
+  }).join('\n');
+}
+
+// Helper: The answer for a chat request that offers tools: results of the last tool calls,
+// a new function call, or the usual reply
+function chatWithTools(contents, config) {
+  const last = Array.isArray(contents) ? contents[contents.length - 1] : null;
+  const toolResults = last?.parts?.filter(p => p.functionResponse) || [];
+  if (toolResults.length > 0) return { text: describeToolResults(toolResults) };
+
+  const toolNames = config.tools.flatMap(t => t.functionDeclarations || []).map(d => d.name);
+  const functionCalls = fakeFunctionCalls(lastUserText(contents), toolNames);
+  return functionCalls ? { functionCalls } : null;
+}
+
+// A provider for ai.js with the same generateContent() interface as the Gemini one
+export function createFakeProvider() {
+  return {
+    name: 'fake',
+    // The same answer as generateContent(), in small pieces. Usage comes with the last one.
+    async generateContentStream(request) {
+      const { text, usageMetadata } = await this.generateContent(request);
+      const pieces = Array.from({ length: Math.ceil(text.length / STREAM_CHUNK_SIZE) }, (_, i) => (
+        text.slice(i * STREAM_CHUNK_SIZE, (i + 1) * STREAM_CHUNK_SIZE)
+      ));
+      return (async function* () {
+        for (let i = 0; i < pieces.length; i++) {
+          yield { text: pieces[i], ...(i === pieces.length - 1 && { usageMetadata }) };
+        }
+      })();
+    },
+    async generateContent({ feature, contents, config }) {
+      const text = promptText(contents);
+      const promptTokenCount = Math.ceil(text.length / 4);
+
+      const toolAnswer = config?.tools ? chatWithTools(contents, config) : null;
+      if (toolAnswer?.functionCalls) {
+        const { functionCalls } = toolAnswer;
+        const candidatesTokenCount = Math.ceil(JSON.stringify(functionCalls).length / 4);
+        return {
+          functionCalls,
+          candidates: [{ content: { role: 'model', parts: functionCalls.map(functionCall => ({ functionCall })) } }],
+          usageMetadata: { promptTokenCount, candidatesTokenCount, totalTokenCount: promptTokenCount + candidatesTokenCount }
+        };
+      }
+
+      const answer = answers[feature];
+      const reply = toolAnswer?.text || (answer
+        ? answer(text, seedOf([text, config?.systemInstruction || '']), contents)
+        : `Fake response for ${feature}.`);
+
+      const candidatesTokenCount = Math.ceil(reply.length / 4);
+      return {
+        text: reply,
+        candidates: [{ content: { role: 'model', parts: [{ text: reply }] }, groundingMetadata: {} }],
+        usageMetadata: { promptTokenCount, candidatesTokenCount, totalTokenCount: promptTokenCount + candidatesTokenCount }
+      };
+    }
+  };
+}
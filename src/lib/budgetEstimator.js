@@ -0,0 +1,166 @@
+import { round2 } from './budgetMath.js';
+import { generate, parseJson, AI_FEATURES } from './ai.js';
+
+// Same category names the expense form uses, so estimates can seed allocations directly
+export const ESTIMATE_CATEGORIES = ['Accommodation', 'Food', 'Transportation', 'Activities', 'Shopping', 'Other'];
+
+export class EstimateError extends Error {}
+
+// Helper: Coerce a { low, high } pair into sorted, non-negative numbers (or null)
+function toRange(value) {
+  const low = parseFloat(value?.low);
+  const high = parseFloat(value?.high);
+  if (!Number.isFinite(low) || !Number.isFinite(high)) return null;
+
+  return {
+    low: round2(Math.max(0, Math.min(low, high))),
+    high: round2(Math.max(0, low, high))
+  };
+}
+
+const toCategory = (name) => ESTIMATE_CATEGORIES.find(c => c.toLowerCase() === String(name).toLowerCase()) || 'Other';
+
+// Helper: Add a range into a { category: { low, high } } accumulator
+function addRange(totals, category, range) {
+  const entry = totals[category] || { low: 0, high: 0 };
+  entry.low += range.low;
+  entry.high += range.high;
+  totals[category] = entry;
+}
+
+// Helper: Validate the model's JSON and rebuild all totals from the line items,
+// so the per-day, per-category and overall figures always agree
+function normalizeEstimate(result, { days, currency }) {
+  if (!result || !Array.isArray(result.perDay)) {
+    throw new EstimateError('Estimate is missing the perDay breakdown');
+  }
+
+  const byCategory = {};
+
+  const perDay = [];
+  for (let day = 1; day <= days; day++) {
+    const entry = result.perDay.find(d => parseInt(d?.day) === day);
+    const categories = {};
+    Object.entries(entry?.categories || {}).forEach(([name, value]) => {
+      const range = toRange(value);
+      if (range) addRange(categories, toCategory(name), range);
+    });
+    Object.entries(categories).forEach(([name, range]) => addRange(byCategory, name, range));
+
+    const ranges = Object.values(categories);
+    perDay.push({
+      day,
+      low: round2(ranges.reduce((sum, r) => sum + r.low, 0)),
+      high: round2(ranges.reduce((sum, r) => sum + r.high, 0)),
+      categories,
+      notes: entry?.notes || null
+    });
+  }
+
+  // Costs that don't belong to a single day, e.g. getting to the destination
+  const oneTime = (Array.isArray(result.oneTime) ? result.oneTime : [])
+    .map(item => {
+      const range = toRange(item);
+      return range && { category: toCategory(item.category), description: item.description || '', ...range };
+    })
+    .filter(Boolean);
+  oneTime.forEach(item => addRange(byCategory, item.category, item));
+
+  const categoryTotals = Object.entries(byCategory)
+    .map(([category, range]) => ({ category, low: round2(range.low), high: round2(range.high) }))
+    .sort((a, b) => b.high - a.high);
+
+  if (categoryTotals.length === 0) {
+    throw new EstimateError('Estimate did not include any costs');
+  }
+
+  const low = round2(categoryTotals.reduce((sum, c) => sum + c.low, 0));
+  const high = round2(categoryTotals.reduce((sum, c) => sum + c.high, 0));
+
+  return {
+    currency,
+    perDay,
+    oneTime,
+    byCategory: categoryTotals,
+    total: { low, high, mid: round2((low + high) / 2) },
+    assumptions: Array.isArray(result.assumptions) ? result.assumptions.map(String) : []
+  };
+}
+
+// Helper: Budget values to seed from an estimate, at the low, mid or high end of each range
+export function suggestBudget(estimate, basis = 'mid') {
+  const pick = (range) => (basis === 'mid' ? round2((range.low + range.high) / 2) : range[basis]);
+
+  const categoryAllocations = Object.fromEntries(estimate.byCategory.map(c => [c.category, pick(c)]));
+  return {
+    basis,
+    totalBudget: round2(Object.values(categoryAllocations).reduce((sum, value) => sum + value, 0)),
+    currency: estimate.currency,
+    categoryAllocations
+  };
+}
+
+// Ask Gemini to price a planned trip. Returns a normalized estimate (see normalizeEstimate).
+export async function estimateTripCost({ trip, travelStyle, currency }) {
+  const systemInstruction = `
+      You are a travel cost analyst. You estimate realistic price ranges for trips based on
+      the destination's local prices, the travel style and the specific planned activities.
+      Give honest ranges - "low" is a careful traveller of this style, "high" is a generous one.
+    `;
+
+  const prompt = `
+      Estimate what this trip will cost for one traveller, in ${currency}.
+
+      TRIP DETAILS:
+      - Destination: ${trip.destinationName}
+      - Duration: ${trip.days} days
+      - Starting from: ${trip.startLocation}
+      - Travel Style: ${travelStyle || 'Not specified'}
+
+      ITINERARY:
+      ${JSON.stringify(trip.itinerary || [])}
+
+      Respond with ONLY valid JSON in this exact format:
+      {
+        "perDay": [
+          {
+            "day": 1,
+            "categories": {
+              "Accommodation": { "low": 80, "high": 140 },
+              "Food": { "low": 30, "high": 60 }
+            },
+            "notes": "What drives the cost of this day"
+          }
+        ],
+        "oneTime": [
+          { "category": "Transportation", "description": "Round trip from the starting location", "low": 200, "high": 450 }
+        ],
+        "assumptions": ["Assumption behind the estimate"]
+      }
+
+      IMPORTANT RULES:
+      1. Include exactly one perDay entry for each of the ${trip.days} days
+      2. Categories MUST be one of: ${ESTIMATE_CATEGORIES.map(c => `"${c}"`).join(', ')}
+      3. Price the actual activities in the itinerary (tickets, tours, entry fees)
+      4. Put travel between the starting location and the destination in "oneTime", not in a day
+      5. All amounts are numbers in ${currency}, with low <= high
+    `;
+
+  const response = await generate(AI_FEATURES.BUDGET, {
+    contents: prompt,
+    config: {
+      systemInstruction,
+      responseMimeType: 'application/json',
+    },
+    validate: (text) => normalizeEstimate(parseJson(text), { days: trip.days, currency })
+  });
+
+  let result;
+  try {
+    result = parseJson(response.text);
+  } catch (parseError) {
+    throw new EstimateError('Could not parse the cost estimate');
+  }
+
+  return normalizeEstimate(result, { days: trip.days, currency });
+}
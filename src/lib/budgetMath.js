@@ -0,0 +1,302 @@
+import { convertAmount } from './currency.js';
+
+export const SPLIT_MODES = ['equal', 'exact', 'percentage', 'shares'];
+
+// Small threshold for floating point errors
+const EPSILON = 0.01;
+
+export const round2 = (value) => Number(value.toFixed(2));
+
+// Helper: Validate split settings for an expense. Returns { error } or the normalized
+// { splitMode, splitWithIds, splitValues } to store.
+//   equal      - splitWithIds share the amount equally (splitValues ignored)
+//   exact      - splitValues maps participantId -> amount, must sum to the expense amount
+//   percentage - splitValues maps participantId -> percent, must sum to 100
+//   shares     - splitValues maps participantId -> weight (e.g. 2 shares vs 1 share)
+export function validateSplit({ amount, splitMode = 'equal', splitWithIds, splitValues, participantIds }) {
+  if (!SPLIT_MODES.includes(splitMode)) {
+    return { error: `splitMode must be one of: ${SPLIT_MODES.join(', ')}` };
+  }
+
+  if (splitMode === 'equal') {
+    if (!Array.isArray(splitWithIds) || splitWithIds.length === 0) {
+      return { error: 'splitWithIds must be a non-empty array of participant IDs' };
+    }
+    if (splitWithIds.some(id => !participantIds.has(id))) {
+      return { error: 'splitWithIds must only contain participants of this budget' };
+    }
+    return { splitMode, splitWithIds: [...new Set(splitWithIds)], splitValues: null };
+  }
+
+  if (!splitValues || typeof splitValues !== 'object' || Array.isArray(splitValues)) {
+    return { error: `splitValues must map participant IDs to numbers for ${splitMode} splits` };
+  }
+
+  const entries = Object.entries(splitValues).map(([id, value]) => [id, Number(value)]);
+
+  if (entries.some(([id]) => !participantIds.has(id))) {
+    return { error: 'splitValues must only contain participants of this budget' };
+  }
+  if (entries.some(([, value]) => !Number.isFinite(value) || value < 0)) {
+    return { error: 'splitValues must be non-negative numbers' };
+  }
+
+  const included = entries.filter(([, value]) => value > 0);
+  if (included.length === 0) {
+    return { error: 'At least one participant must have a non-zero split value' };
+  }
+
+  const total = included.reduce((sum, [, value]) => sum + value, 0);
+
+  if (splitMode === 'exact' && Math.abs(total - amount) > EPSILON) {
+    return { error: `Exact split amounts must add up to ${amount} (got ${round2(total)})` };
+  }
+  if (splitMode === 'percentage' && Math.abs(total - 100) > EPSILON) {
+    return { error: `Split percentages must add up to 100 (got ${round2(total)})` };
+  }
+
+  return {
+    splitMode,
+    splitWithIds: included.map(([id]) => id),
+    splitValues: Object.fromEntries(included)
+  };
+}
+
+// Helper: How much of an expense each participant owes, in the expense's own currency
+export function computeShares(expense) {
+  const shares = {};
+  const splitMode = expense.splitMode || 'equal';
+
+  if (splitMode === 'equal' || !expense.splitValues) {
+    const ids = expense.splitWithIds || [];
+    ids.forEach(id => {
+      shares[id] = expense.amount / ids.length;
+    });
+    return shares;
+  }
+
+  const entries = Object.entries(expense.splitValues);
+
+  if (splitMode === 'exact') {
+    entries.forEach(([id, value]) => {
+      shares[id] = value;
+    });
+    return shares;
+  }
+
+  // percentage and shares are both proportional weights
+  const totalWeight = entries.reduce((sum, [, value]) => sum + value, 0);
+  entries.forEach(([id, value]) => {
+    shares[id] = totalWeight > 0 ? (expense.amount * value) / totalWeight : 0;
+  });
+  return shares;
+}
+
+// Helper: Convert an expense (or settlement) amount into the budget's currency
+export function toBudgetCurrency(amount, record, budget) {
+  return convertAmount(amount, record.currency || budget.currency, budget.currency);
+}
+
+// Helper: Net balance per participant in budget currency, after expenses and settlements
+// positive = paid more than share (owed money)
+// negative = paid less than share (owes money)
+export function computeBalances(budget) {
+  const balances = {};
+  budget.participants.forEach(p => {
+    balances[p.id] = { name: p.name, amount: 0 };
+  });
+
+  budget.expenses.forEach(expense => {
+    const shares = computeShares(expense);
+    if (Object.keys(shares).length === 0) return;
+
+    // Payer gets credit for the full amount
+    if (balances[expense.paidById]) {
+      balances[expense.paidById].amount += toBudgetCurrency(expense.amount, expense, budget);
+    }
+
+    // Everyone involved debited their share
+    Object.entries(shares).forEach(([id, share]) => {
+      if (balances[id]) {
+        balances[id].amount -= toBudgetCurrency(share, expense, budget);
+      }
+    });
+  });
+
+  // Repayments move money from debtor to creditor
+  (budget.settlements || []).forEach(settlement => {
+    const amount = toBudgetCurrency(settlement.amount, settlement, budget);
+    if (balances[settlement.fromId]) balances[settlement.fromId].amount += amount;
+    if (balances[settlement.toId]) balances[settlement.toId].amount -= amount;
+  });
+
+  return balances;
+}
+
+// Helper: Turn balances into a minimal list of "from pays to" transfers
+export function resolveDebts(balances) {
+  const debts = [];
+  const debtors = [];
+  const creditors = [];
+
+  Object.entries(balances).forEach(([id, data]) => {
+    if (data.amount < -EPSILON) debtors.push({ id, name: data.name, amount: data.amount });
+    if (data.amount > EPSILON) creditors.push({ id, name: data.name, amount: data.amount });
+  });
+
+  debtors.sort((a, b) => a.amount - b.amount); // Ascending (most negative first)
+  creditors.sort((a, b) => b.amount - a.amount); // Descending (most positive first)
+
+  let i = 0; // debtor index
+  let j = 0; // creditor index
+
+  while (i < debtors.length && j < creditors.length) {
+    const debtor = debtors[i];
+    const creditor = creditors[j];
+
+    const amount = Math.min(Math.abs(debtor.amount), creditor.amount);
+
+    if (amount > EPSILON) {
+      debts.push({
+        fromId: debtor.id,
+        from: debtor.name,
+        toId: creditor.id,
+        to: creditor.name,
+        amount: round2(amount)
+      });
+    }
+
+    debtor.amount += amount;
+    creditor.amount -= amount;
+
+    if (Math.abs(debtor.amount) < EPSILON) i++;
+    if (creditor.amount < EPSILON) j++;
+  }
+
+  return debts;
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const utcDay = (date) => Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+
+// Helper: Spend breakdowns and an end-of-trip projection for a budget.
+// Trip day 1 is `startDate` when known, otherwise the date of the earliest expense.
+// Expenses dated before day 1 (e.g. bookings) count as pre-trip spend and are
+// excluded from the daily burn rate.
+export function computeAnalytics(budget, { days, startDate = null, now = new Date() }) {
+  const expenses = budget.expenses.map(expense => ({
+    ...expense,
+    converted: toBudgetCurrency(expense.amount, expense, budget),
+    date: new Date(expense.date)
+  }));
+
+  const totalSpent = expenses.reduce((sum, e) => sum + e.converted, 0);
+
+  // By category, compared against the configured allocations
+  const allocations = budget.categoryAllocations || {};
+  const categories = new Map();
+  Object.keys(allocations).forEach(category => {
+    categories.set(category, { spent: 0, count: 0 });
+  });
+  expenses.forEach(e => {
+    const entry = categories.get(e.category) || { spent: 0, count: 0 };
+    entry.spent += e.converted;
+    entry.count++;
+    categories.set(e.category, entry);
+  });
+
+  const byCategory = [...categories.entries()]
+    .map(([category, { spent, count }]) => {
+      const allocation = allocations[category] ?? null;
+      return {
+        category,
+        spent: round2(spent),
+        count,
+        percentOfTotal: totalSpent > 0 ? round2((spent / totalSpent) * 100) : 0,
+        allocation,
+        remainingAllocation: allocation !== null ? round2(allocation - spent) : null,
+        overAllocation: allocation !== null && spent - allocation > EPSILON
+      };
+    })
+    .sort((a, b) => b.spent - a.spent);
+
+  // By trip day
+  const earliest = expenses.length > 0
+    ? new Date(Math.min(...expenses.map(e => e.date.getTime())))
+    : null;
+  const start = startDate ? new Date(startDate) : earliest;
+  const dayNumber = (date) => Math.floor((utcDay(date) - utcDay(start)) / DAY_MS) + 1;
+
+  const dayMap = new Map();
+  let preTripSpent = 0;
+  expenses.forEach(e => {
+    const day = dayNumber(e.date);
+    if (day < 1) {
+      preTripSpent += e.converted;
+      return;
+    }
+    const entry = dayMap.get(day) || { spent: 0, count: 0 };
+    entry.spent += e.converted;
+    entry.count++;
+    dayMap.set(day, entry);
+  });
+
+  const byDay = [...dayMap.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([day, { spent, count }]) => ({
+      day,
+      date: new Date(utcDay(start) + (day - 1) * DAY_MS).toISOString().split('T')[0],
+      spent: round2(spent),
+      count
+    }));
+
+  // By participant: what they paid vs. their share of the expenses
+  const participantTotals = {};
+  budget.participants.forEach(p => {
+    participantTotals[p.id] = { participantId: p.id, name: p.name, paid: 0, share: 0 };
+  });
+  expenses.forEach(e => {
+    if (participantTotals[e.paidById]) participantTotals[e.paidById].paid += e.converted;
+    Object.entries(computeShares(e)).forEach(([id, share]) => {
+      if (participantTotals[id]) {
+        participantTotals[id].share += toBudgetCurrency(share, e, budget);
+      }
+    });
+  });
+  const byParticipant = Object.values(participantTotals).map(p => ({
+    ...p,
+    paid: round2(p.paid),
+    share: round2(p.share)
+  }));
+
+  // Burn rate over the elapsed part of the trip, projected to the full length
+  const tripSpent = totalSpent - preTripSpent;
+  let daysElapsed = 0;
+  if (start) {
+    const latestDay = Math.max(dayNumber(now), ...byDay.map(d => d.day));
+    daysElapsed = Math.min(Math.max(latestDay, 1), days);
+  }
+  const burnRate = daysElapsed > 0 ? tripSpent / daysElapsed : 0;
+  const projectedTotal = preTripSpent + burnRate * days;
+
+  return {
+    currency: budget.currency,
+    totalBudget: budget.totalBudget,
+    totalSpent: round2(totalSpent),
+    remaining: round2(budget.totalBudget - totalSpent),
+    byCategory,
+    byDay,
+    byParticipant,
+    forecast: {
+      startDate: start ? new Date(utcDay(start)).toISOString().split('T')[0] : null,
+      tripDays: days,
+      daysElapsed,
+      preTripSpent: round2(preTripSpent),
+      burnRate: round2(burnRate),
+      projectedTotal: round2(projectedTotal),
+      projectedRemaining: round2(budget.totalBudget - projectedTotal),
+      projectedOverspend: projectedTotal - budget.totalBudget > EPSILON
+    },
+    overAllocatedCategories: byCategory.filter(c => c.overAllocation).map(c => c.category)
+  };
+}
@@ -0,0 +1,142 @@
+import { getDailyForecast, matchForecastToTrip } from './weather.js';
+import { computeAnalytics } from './budgetMath.js';
+import { CurrencyError } from './currency.js';
+import { toDateString, tripEndDate } from './tripDates.js';
+
+// What the chat assistant is told about the user and, for conversations bound to a
+// PlannedTrip, about the trip itself. Trip details are read again for every message, so
+// the assistant always sees the current plan.
+
+// Include for loading a PlannedTrip with everything describeTrip() needs
+export const TRIP_CONTEXT_INCLUDE = {
+  collaborators: true,
+  budget: { include: { expenses: true, participants: true, settlements: true } }
+};
+
+// System instruction for the chat assistant. `context` is the client's { destination, tripDays };
+// `tripContext` is describeTrip() output for a bound trip; `toolNotes` explains the tools offered.
+export function chatInstruction(profile, { context, tripContext, toolNotes } = {}) {
+  return `
+    You are WanderGenius AI, a friendly and knowledgeable travel companion assistant.
+
+    YOUR ROLE:
+    - Answer travel-related questions helpfully and concisely
+    - Provide practical tips, recommendations, and insights
+    - Be conversational and engaging
+    - Keep responses focused and under 200 words unless more detail is needed
+
+    USER PROFILE:
+    ${profile ? `
+    - Interests: ${profile.interests?.join(', ') || 'Not specified'}
+    - Hobbies: ${profile.hobbies?.join(', ') || 'Not specified'}
+    - Travel Style: ${profile.travelStyle || 'Not specified'}
+    - Constraints: ${profile.constraints || 'None'}
+    ` : 'No profile available'}
+
+    ${context?.destination ? `CURRENT DESTINATION: ${context.destination}` : ''}
+    ${context?.tripDays ? `TRIP LENGTH: ${context.tripDays} days` : ''}
+    ${tripContext ? `
+    THE USER'S TRIP (current plan - base your answers on it and refer to its activities by name):
+    ${tripContext}
+    ` : ''}
+    ${toolNotes ? `
+    TOOLS:
+    ${toolNotes}
+    ` : ''}
+
+    GUIDELINES:
+    1. Be helpful and specific with recommendations
+    2. Consider the user's profile when giving advice
+    3. For packing questions, consider weather and activities
+    4. For timing questions, mention seasonal factors
+    5. For budget questions, give ranges (budget/mid-range/luxury)
+    6. Use emoji sparingly for friendliness ✈️
+  `;
+}
+
+// Helper: Itinerary as lines, one per activity, with the ids the trip's tools use
+function describeItinerary(itinerary) {
+  if (!Array.isArray(itinerary) || itinerary.length === 0) return 'No itinerary yet.';
+
+  return itinerary.map(day => [
+    `Day ${day.day}${day.title ? ` - ${day.title}` : ''}`,
+    ...(day.activities || []).map(a =>
+      `- ${a.time || '--:--'} ${a.activity}${a.location ? ` @ ${a.location}` : ''} [activity ${a.id}]`
+    ),
+    ...(day.tips ? [`  Tips: ${day.tips}`] : [])
+  ].join('\n')).join('\n');
+}
+
+// Helper: Checklist items with their ids and whether they are done
+function describeChecklist(checklist) {
+  if (!Array.isArray(checklist) || checklist.length === 0) return 'No checklist items.';
+
+  return checklist
+    .map(item => `- [${item.completed ? 'x' : ' '}] ${item.task} (${item.category}) [item ${item.id}]`)
+    .join('\n');
+}
+
+// Helper: Totals and spending per category, in the budget currency
+function describeBudget(trip) {
+  if (!trip.budget) return 'No budget set.';
+
+  let analytics;
+  try {
+    analytics = computeAnalytics(trip.budget, { days: trip.days, startDate: trip.startDate });
+  } catch (error) {
+    // An expense in a currency with no exchange rate shouldn't stop the chat
+    if (error instanceof CurrencyError) return 'Not available (an expense currency has no exchange rate).';
+    throw error;
+  }
+  const currency = analytics.currency;
+  return [
+    `- Total: ${analytics.totalBudget} ${currency}, spent ${analytics.totalSpent} ${currency}, remaining ${analytics.remaining} ${currency}`,
+    ...analytics.byCategory.map(c =>
+      `- ${c.category}: spent ${c.spent} ${currency}${c.allocation !== null ? ` of ${c.allocation} allocated` : ''}`
+    )
+  ].join('\n');
+}
+
+// Helper: Forecast for the trip days (or the next few days when the trip has no dates)
+async function describeWeather(trip) {
+  if (trip.destinationLat == null || trip.destinationLng == null) return 'Not available (no destination coordinates).';
+
+  const forecast = await getDailyForecast(trip.destinationLat, trip.destinationLng);
+  if (!forecast) return 'Not available.';
+
+  const days = trip.startDate
+    ? matchForecastToTrip(forecast, trip).filter(d => d.forecast).map(d => ({ label: `Day ${d.day}`, ...d.forecast }))
+    : forecast.map(f => ({ label: 'No trip dates set', ...f }));
+
+  if (days.length === 0) return 'The trip dates are outside the forecast window.';
+
+  return days
+    .map(d => `- ${d.label} (${d.date}): ${d.temp}°C (${d.tempMin}°C - ${d.tempMax}°C), ${d.condition} (${d.description})`)
+    .join('\n');
+}
+
+// The trip as text for the system instruction: dates, the user's role, itinerary,
+// checklist, budget and weather. `trip` is loaded with TRIP_CONTEXT_INCLUDE.
+export async function describeTrip(trip, role) {
+  const dates = trip.startDate
+    ? `${toDateString(trip.startDate)} to ${toDateString(tripEndDate(trip.startDate, trip.days))}`
+    : 'Not set';
+
+  return `
+    TRIP: ${trip.destinationName} (${trip.days} days, from ${trip.startLocation})
+    DATES: ${dates}
+    USER'S ROLE ON THIS TRIP: ${role}
+
+    ITINERARY:
+    ${describeItinerary(trip.itinerary)}
+
+    PACKING CHECKLIST:
+    ${describeChecklist(trip.checklist)}
+
+    BUDGET:
+    ${describeBudget(trip)}
+
+    WEATHER FORECAST:
+    ${await describeWeather(trip)}
+  `;
+}
@@ -0,0 +1,367 @@
+import prisma from './prisma.js';
+import { generate, AI_FEATURES } from './ai.js';
+import { geocodeAddress } from './geocode.js';
+import { getDailyForecast, matchForecastToTrip } from './weather.js';
+import { applyItineraryOperations } from './itinerary.js';
+import { updateTripPlan, REVISION_SOURCES } from './revisions.js';
+import { buildExpenseData, withConvertedAmounts } from './expenses.js';
+import { ESTIMATE_CATEGORIES } from './budgetEstimator.js';
+import { notifyItineraryEdit } from './notifications.js';
+import { publishTripEvent } from './tripChannel.js';
+
+// Gemini function calling for the chat assistant. Read-only tools (weather, geocoding) run
+// as soon as the model calls them. Tools that change the trip only record an AssistantAction;
+// nothing is applied until the user confirms it (see applyAction), and the routes check the
+// user's trip role both when offering the tools and when the action is confirmed.
+
+export class ChatToolError extends Error {}
+
+// Model calls per message, so a model that keeps calling tools still ends with a reply
+const MAX_TOOL_ROUNDS = 4;
+
+// Unconfirmed actions expire, so an old proposal can't be applied to a trip that has moved on
+export const ACTION_TTL_MS = 60 * 60 * 1000;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+export const isActionExpired = (action, now = Date.now()) => now - new Date(action.createdAt).getTime() > ACTION_TTL_MS;
+
+// Helper: The forecast for a place named by the model, or for the trip's destination
+async function runGetWeather({ location }, { trip }) {
+  let place;
+  if (location) {
+    const result = await geocodeAddress(location);
+    if (result.error) return { error: result.error };
+    place = { name: result.formattedAddress || result.name, lat: result.lat, lng: result.lng };
+  } else if (trip?.destinationLat && trip?.destinationLng) {
+    place = { name: trip.destinationName, lat: trip.destinationLat, lng: trip.destinationLng };
+  } else {
+    return { error: 'Say which place to get the weather for' };
+  }
+
+  const forecast = await getDailyForecast(place.lat, place.lng);
+  if (!forecast) return { error: 'The forecast is not available right now' };
+
+  // For the trip's own destination, label the days that fall on the trip
+  return {
+    location: place.name,
+    forecast: !location && trip.startDate ? matchForecastToTrip(forecast, trip) : forecast
+  };
+}
+
+async function runGeocodePlace({ address }) {
+  if (!address) return { error: 'address is required' };
+  const { status, ...result } = await geocodeAddress(address);
+  return result;
+}
+
+// Helper: Where a new activity goes so the day stays in time order
+function insertPosition(activities, time) {
+  const index = activities.findIndex(a => TIME_PATTERN.test(a.time || '') && a.time > time);
+  return index === -1 ? activities.length : index;
+}
+
+// Check add_activity arguments against the trip. Returns { error } or { args, summary }.
+function prepareAddActivity({ day, time, activity, description, location }, { trip }) {
+  if (!TIME_PATTERN.test(time || '')) return { error: 'time must be HH:MM (24-hour)' };
+
+  const values = { time, activity, description: description || '', location: location || '' };
+  const result = applyItineraryOperations(trip.itinerary, [{ type: 'addActivity', day, activity: values }]);
+  if (result.error) return { error: result.error };
+
+  return {
+    args: { day, activity: values },
+    summary: `Add "${activity}" at ${time} to day ${day}`
+  };
+}
+
+async function applyAddActivity({ day, activity }, { trip, userId }) {
+  const target = trip.itinerary?.[day - 1];
+  const position = insertPosition(target?.activities || [], activity.time);
+  const result = applyItineraryOperations(trip.itinerary, [{ type: 'addActivity', day, activity, position }]);
+  if (result.error) throw new ChatToolError(result.error);
+
+  const updated = await updateTripPlan(trip, { itinerary: result.itinerary }, {
+    authorId: userId,
+    source: REVISION_SOURCES.ASSISTANT
+  });
+  await notifyItineraryEdit(trip, userId);
+
+  return { day, activity: result.itinerary[day - 1].activities[position], version: updated.version };
+}
+
+function prepareToggleChecklistItem({ itemId, completed }, { trip }) {
+  const item = (trip.checklist || []).find(i => String(i.id) === String(itemId));
+  if (!item) return { error: 'No checklist item has that id' };
+
+  // Store the target state, so confirming does what the user was shown even if someone
+  // else ticks the item in the meantime
+  const target = typeof completed === 'boolean' ? completed : !item.completed;
+  return {
+    args: { itemId: item.id, task: item.task, completed: target },
+    summary: `Mark "${item.task}" as ${target ? 'done' : 'not done'}`
+  };
+}
+
+async function applyToggleChecklistItem({ itemId, task, completed }, { trip, userId }) {
+  const checklist = trip.checklist || [];
+  if (!checklist.some(i => i.id === itemId)) {
+    throw new ChatToolError(`"${task}" is no longer on the checklist`);
+  }
+
+  const updated = await updateTripPlan(trip, {
+    checklist: checklist.map(i => (i.id === itemId ? { ...i, completed } : i))
+  }, {
+    authorId: userId,
+    source: REVISION_SOURCES.ASSISTANT
+  });
+
+  return { item: updated.checklist.find(i => i.id === itemId), version: updated.version };
+}
+
+// Helper: The participant who paid: the one named by the model, else the user's own
+function findPayer(participants, paidBy, userId) {
+  if (paidBy) {
+    return participants.find(p => p.name.toLowerCase() === String(paidBy).trim().toLowerCase()) || null;
+  }
+  return participants.find(p => p.userId === userId) || null;
+}
+
+function prepareAddExpense({ amount, category, description, currency, paidBy }, { trip, userId }) {
+  const budget = trip.budget;
+  if (!budget) return { error: 'This trip has no budget yet' };
+  if (typeof description !== 'string' || !description.trim()) return { error: 'description is required' };
+
+  const payer = findPayer(budget.participants, paidBy, userId);
+  if (!payer) {
+    return { error: `Say who paid - one of: ${budget.participants.map(p => p.name).join(', ') || 'no participants yet'}` };
+  }
+
+  // Split equally between everyone on the budget, like a new expense in the app
+  const input = {
+    amount,
+    currency: currency || budget.currency,
+    category: ESTIMATE_CATEGORIES.includes(category) ? category : 'Other',
+    description: description.trim(),
+    paidById: payer.id,
+    splitMode: 'equal',
+    splitWithIds: budget.participants.map(p => p.id)
+  };
+  const { error, data } = buildExpenseData(input, budget);
+  if (error) return { error };
+
+  return {
+    args: input,
+    summary: `Add expense "${description}": ${data.amount} ${data.currency} (${data.category}), paid by ${payer.name}, split equally between ${data.splitWithIds.length} participants`
+  };
+}
+
+async function applyAddExpense(input, { trip, userId }) {
+  const budget = await prisma.tripBudget.findFirst({
+    where: { tripId: trip.id },
+    include: { participants: true }
+  });
+  if (!budget) throw new ChatToolError('This trip no longer has a budget');
+
+  const { error, data } = buildExpenseData(input, budget);
+  if (error) throw new ChatToolError(error);
+
+  const expense = await prisma.expense.create({
+    data: {
+      ...data,
+      budgetId: budget.id,
+      createdById: userId
+    },
+    include: {
+      paidBy: true,
+      createdBy: { select: { id: true, name: true } }
+    }
+  });
+
+  const result = withConvertedAmounts(expense, budget);
+  publishTripEvent(trip.id, 'expense.added', result, { actorId: userId });
+  return { expense: result };
+}
+
+// name -> { declaration, run } for read-only tools, or { declaration, prepare, apply } for
+// tools that change the trip. Declarations use JSON Schema (parametersJsonSchema).
+const TOOLS = {
+  get_weather: {
+    declaration: {
+      description: "Get the daily weather forecast for a place, or for the trip's destination when no location is given",
+      parametersJsonSchema: {
+        type: 'object',
+        properties: {
+          location: { type: 'string', description: 'City or place name; leave out for the trip destination' }
+        }
+      }
+    },
+    run: runGetWeather
+  },
+
+  geocode_place: {
+    declaration: {
+      description: 'Find the coordinates and full address of a place',
+      parametersJsonSchema: {
+        type: 'object',
+        properties: {
+          address: { type: 'string', description: 'Place name or address' }
+        },
+        required: ['address']
+      }
+    },
+    run: runGeocodePlace
+  },
+
+  add_activity: {
+    declaration: {
+      description: "Propose adding an activity to a day of the user's itinerary. The user must confirm it before it is added.",
+      parametersJsonSchema: {
+        type: 'object',
+        properties: {
+          day: { type: 'integer', description: 'Day number, starting at 1' },
+          time: { type: 'string', description: 'Start time as HH:MM (24-hour)' },
+          activity: { type: 'string', description: 'Short name of the activity' },
+          description: { type: 'string' },
+          location: { type: 'string' }
+        },
+        required: ['day', 'time', 'activity']
+      }
+    },
+    prepare: prepareAddActivity,
+    apply: applyAddActivity
+  },
+
+  toggle_checklist_item: {
+    declaration: {
+      description: 'Propose marking a packing checklist item as done or not done. The user must confirm it before it changes.',
+      parametersJsonSchema: {
+        type: 'object',
+        properties: {
+          itemId: { type: ['integer', 'string'], description: 'The id shown as [item <id>] in the checklist' },
+          completed: { type: 'boolean', description: 'New state; leave out to flip the current one' }
+        },
+        required: ['itemId']
+      }
+    },
+    prepare: prepareToggleChecklistItem,
+    apply: applyToggleChecklistItem
+  },
+
+  add_expense: {
+    declaration: {
+      description: 'Propose recording an expense in the trip budget, split equally between all participants. The user must confirm it before it is added.',
+      parametersJsonSchema: {
+        type: 'object',
+        properties: {
+          amount: { type: 'number' },
+          category: { type: 'string', enum: ESTIMATE_CATEGORIES },
+          description: { type: 'string', description: 'What the money was spent on' },
+          currency: { type: 'string', description: 'ISO code; leave out for the budget currency' },
+          paidBy: { type: 'string', description: 'Name of the participant who paid; leave out for the user' }
+        },
+        required: ['amount', 'category', 'description']
+      }
+    },
+    prepare: prepareAddExpense,
+    apply: applyAddExpense
+  }
+};
+
+// Tools the model may call. Changing the trip needs a trip and `canEdit` (editor or owner).
+function availableTools({ trip, canEdit }) {
+  return Object.entries(TOOLS)
+    .filter(([, tool]) => tool.run || (trip && canEdit))
+    .map(([name, tool]) => ({ name, ...tool.declaration }));
+}
+
+// Extra system instruction describing the tools that are offered
+export function toolInstruction({ trip, canEdit }) {
+  if (!trip) return 'You can look up the weather and find places with your tools. You cannot change any trip in this chat.';
+  if (!canEdit) return 'You can look up the weather and find places with your tools. The user can only view this trip, so you cannot change it.';
+  return `
+    You can look up the weather and find places, and propose changes to the trip: adding an
+    activity, ticking off a checklist item or recording an expense. Proposed changes are NOT
+    applied until the user confirms them in the app, so say what you proposed and ask them to
+    confirm - never claim a change has been made. Use the [activity <id>] and [item <id>] ids
+    from the trip details.
+  `;
+}
+
+// Helper: Run one function call. Read-only tools answer directly; the others save a pending
+// action and tell the model it is waiting for the user.
+async function callTool(call, context) {
+  const tool = TOOLS[call.name];
+  if (!tool || (!tool.run && !(context.trip && context.canEdit))) {
+    return { response: { error: `Unknown tool: ${call.name}` } };
+  }
+
+  const args = call.args || {};
+  try {
+    if (tool.run) return { response: await tool.run(args, context) };
+
+    const prepared = tool.prepare(args, context);
+    if (prepared.error) return { response: { error: prepared.error } };
+
+    const action = await prisma.assistantAction.create({
+      data: {
+        userId: context.userId,
+        tripId: context.trip.id,
+        tool: call.name,
+        args: prepared.args,
+        summary: prepared.summary
+      }
+    });
+    return {
+      action,
+      response: { status: 'awaiting_confirmation', actionId: action.id, summary: action.summary }
+    };
+  } catch (error) {
+    console.error(`Chat tool ${call.name} error:`, error);
+    return { response: { error: 'The tool failed, try again later' } };
+  }
+}
+
+// Answer a chat message, letting the model call tools until it replies with text.
+// `trip` is loaded with TRIP_CONTEXT_INCLUDE (or null). Returns { reply, actions } where
+// actions are the AssistantActions waiting for the user's confirmation.
+export async function chatWithTools({ contents, systemInstruction, trip = null, canEdit = false, userId }) {
+  const context = { trip, canEdit, userId };
+  const functionDeclarations = availableTools(context);
+  const turns = typeof contents === 'string' ? [{ role: 'user', parts: [{ text: contents }] }] : [...contents];
+  const actions = [];
+
+  for (let round = 1; ; round++) {
+    // The last round offers no tools, so the model has to answer
+    const tools = round < MAX_TOOL_ROUNDS ? [{ functionDeclarations }] : undefined;
+
+    // Not cached: tool results and trip state change between calls
+    const response = await generate(AI_FEATURES.CHAT, {
+      contents: turns,
+      config: { systemInstruction, ...(tools && { tools }) },
+      cache: false
+    });
+
+    if (!tools || response.functionCalls.length === 0) {
+      return { reply: response.text, actions };
+    }
+
+    const parts = [];
+    for (const call of response.functionCalls) {
+      const { action, response: result } = await callTool(call, context);
+      if (action) actions.push(action);
+      parts.push({ functionResponse: { ...(call.id && { id: call.id }), name: call.name, response: result } });
+    }
+
+    turns.push(response.candidates[0]?.content || { role: 'model', parts: response.functionCalls.map(functionCall => ({ functionCall })) });
+    turns.push({ role: 'user', parts });
+  }
+}
+
+// Apply a confirmed action to `trip` (freshly loaded). The caller checks the user's role.
+// Throws ChatToolError when the trip no longer allows it.
+export async function applyAction(action, { trip, userId }) {
+  const tool = TOOLS[action.tool];
+  if (!tool?.apply) throw new ChatToolError(`Unknown action: ${action.tool}`);
+  return tool.apply(action.args, { trip, userId });
+}
@@ -0,0 +1,70 @@
+import fs from 'fs';
+
+// Default rates: units of each currency per 1 USD. Override with EXCHANGE_RATES_FILE,
+// a JSON file shaped like { "base": "USD", "rates": { "EUR": 0.92, ... } }.
+const DEFAULT_RATES = {
+  base: 'USD',
+  rates: {
+    USD: 1,
+    EUR: 0.92,
+    GBP: 0.79,
+    JPY: 150,
+    CAD: 1.36,
+    AUD: 1.52,
+    INR: 83,
+    MXN: 17,
+    CHF: 0.88,
+    CNY: 7.2,
+    THB: 36,
+    SGD: 1.34,
+    NZD: 1.64
+  }
+};
+
+export class CurrencyError extends Error {}
+
+let rateTable = null;
+
+function loadRateTable() {
+  if (rateTable) return rateTable;
+
+  const file = process.env.EXCHANGE_RATES_FILE;
+  if (file) {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+      rateTable = {
+        base: parsed.base || 'USD',
+        rates: { [parsed.base || 'USD']: 1, ...parsed.rates }
+      };
+      return rateTable;
+    } catch (error) {
+      console.error(`Failed to load exchange rates from ${file}, using defaults:`, error.message);
+    }
+  }
+
+  rateTable = DEFAULT_RATES;
+  return rateTable;
+}
+
+export function isSupportedCurrency(code) {
+  return typeof code === 'string' && loadRateTable().rates[code.toUpperCase()] !== undefined;
+}
+
+export function getSupportedCurrencies() {
+  return Object.keys(loadRateTable().rates);
+}
+
+// Convert an amount between two currencies through the table's base currency
+export function convertAmount(amount, from, to) {
+  if (!from || !to || from === to) return amount;
+
+  const { rates } = loadRateTable();
+  const fromRate = rates[from.toUpperCase()];
+  const toRate = rates[to.toUpperCase()];
+
+  if (fromRate === undefined || toRate === undefined) {
+    throw new CurrencyError(`No exchange rate configured for ${fromRate === undefined ? from : to}`);
+  }
+
+  return (amount / fromRate) * toRate;
+}
@@ -0,0 +1,233 @@
+import { generate, parseJson, AI_FEATURES } from './ai.js';
+
+const MAX_ATTEMPTS = 3;
+
+export class DestinationsError extends Error {}
+
+// JSON Schema for the structured recommendations. It is sent to Gemini as the response
+// schema and used to validate what comes back.
+const DESTINATION_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    region: { type: 'string', minLength: 1 },
+    reasoning: { type: 'string', minLength: 1 },
+    highlights: { type: 'array', items: { type: 'string', minLength: 1 }, minItems: 1, maxItems: 6 },
+    bestSeason: { type: 'string', minLength: 1 },
+    travelTime: { type: 'string', minLength: 1 },
+    coordinates: {
+      type: 'object',
+      properties: {
+        latitude: { type: 'number', minimum: -90, maximum: 90 },
+        longitude: { type: 'number', minimum: -180, maximum: 180 }
+      },
+      required: ['latitude', 'longitude']
+    }
+  },
+  required: ['name', 'region', 'reasoning', 'highlights', 'bestSeason', 'travelTime', 'coordinates']
+};
+
+export const DESTINATIONS_SCHEMA = {
+  type: 'object',
+  properties: {
+    destinations: { type: 'array', items: DESTINATION_SCHEMA, minItems: 1, maxItems: 5 }
+  },
+  required: ['destinations']
+};
+
+// Helper: Check a value against the subset of JSON Schema used above.
+// Returns a list of problems such as "destinations[0].coordinates.latitude must be a number".
+export function validateSchema(value, schema, path = 'value') {
+  const errors = [];
+
+  switch (schema.type) {
+    case 'object':
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return [`${path} must be an object`];
+      }
+      (schema.required || []).forEach(key => {
+        if (value[key] === undefined || value[key] === null) errors.push(`${path}.${key} is required`);
+      });
+      Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+        if (value[key] !== undefined && value[key] !== null) {
+          errors.push(...validateSchema(value[key], propertySchema, `${path}.${key}`));
+        }
+      });
+      break;
+    case 'array':
+      if (!Array.isArray(value)) return [`${path} must be an array`];
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push(`${path} must have at least ${schema.minItems} item(s)`);
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        errors.push(`${path} must have at most ${schema.maxItems} items`);
+      }
+      value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${path}[${i}]`)));
+      break;
+    case 'string':
+      if (typeof value !== 'string') return [`${path} must be a string`];
+      if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+        errors.push(`${path} must not be empty`);
+      }
+      break;
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return [`${path} must be a number`];
+      if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} must be at least ${schema.minimum}`);
+      if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} must be at most ${schema.maximum}`);
+      break;
+  }
+
+  return errors;
+}
+
+const cleanString = (value) => (typeof value === 'string' ? value.trim() : value);
+
+// Helper: Fix the usual near-misses before validating: a bare array instead of
+// { destinations }, highlights as one string, "lat"/"lng" keys or numbers as strings,
+// a missing region that is part of "Name, Region"
+export function repairDestinations(result) {
+  const list = Array.isArray(result) ? result : result?.destinations;
+  if (!Array.isArray(list)) return result;
+
+  return {
+    destinations: list.map(item => {
+      if (!item || typeof item !== 'object') return item;
+
+      let name = cleanString(item.name);
+      let region = cleanString(item.region);
+      if (typeof name === 'string' && !region && name.includes(',')) {
+        [name, region] = [name.slice(0, name.indexOf(',')).trim(), name.slice(name.indexOf(',') + 1).trim()];
+      }
+
+      let highlights = item.highlights;
+      if (typeof highlights === 'string') {
+        highlights = highlights.split(/\n|;|•/);
+      }
+      if (Array.isArray(highlights)) {
+        highlights = highlights.map(h => (typeof h === 'string' ? h.trim().replace(/^[-*]\s*/, '') : h)).filter(h => h !== '');
+      }
+
+      const coords = item.coordinates || {};
+      const latitude = parseFloat(coords.latitude ?? coords.lat);
+      const longitude = parseFloat(coords.longitude ?? coords.lng ?? coords.lon);
+
+      return {
+        name,
+        region,
+        reasoning: cleanString(item.reasoning),
+        highlights,
+        bestSeason: cleanString(item.bestSeason),
+        travelTime: cleanString(item.travelTime),
+        coordinates: Number.isFinite(latitude) && Number.isFinite(longitude) ? { latitude, longitude } : null
+      };
+    })
+  };
+}
+
+// Helper: Grounded Maps places with real coordinates, for matching by name
+function groundedPlaces(groundingChunks) {
+  return (groundingChunks || [])
+    .map(chunk => chunk.maps)
+    .filter(place => place?.title && (place.latLng || place.coordinates))
+    .map(place => {
+      const coords = place.latLng || place.coordinates;
+      return {
+        title: place.title.toLowerCase(),
+        uri: place.uri || null,
+        latitude: parseFloat(coords.latitude ?? coords.lat),
+        longitude: parseFloat(coords.longitude ?? coords.lng)
+      };
+    })
+    .filter(place => Number.isFinite(place.latitude) && Number.isFinite(place.longitude));
+}
+
+// Helper: Prefer coordinates from a grounded Maps place with the same name over the model's own
+function withGroundedCoordinates(destination, places) {
+  const name = destination.name.toLowerCase();
+  const place = places.find(p => p.title.includes(name) || name.includes(p.title));
+  if (!place) {
+    return { ...destination, coordinatesSource: 'model', mapsUri: null };
+  }
+  return {
+    ...destination,
+    coordinates: { latitude: place.latitude, longitude: place.longitude },
+    coordinatesSource: 'maps',
+    mapsUri: place.uri
+  };
+}
+
+// Turn the Markdown recommendations from POST /api/trips/generate into validated
+// destinations. Maps grounding can't be combined with JSON output, so this is a second
+// call without tools. Invalid output is repaired where possible; otherwise the model is
+// asked again with the validation errors. After the last attempt, the destinations that
+// did validate are kept, and DestinationsError is thrown if there are none.
+export async function structureDestinations({ markdown, groundingChunks }) {
+  const systemInstruction = `
+      You convert travel recommendations into structured data. Use only the destinations
+      in the text, in the same order. Do not add or invent destinations.
+    `;
+
+  const places = groundedPlaces(groundingChunks);
+  let feedback = '';
+  let best = [];
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    const prompt = `
+      RECOMMENDATIONS (Markdown):
+      ${markdown}
+
+      MAPS PLACES MENTIONED (title and coordinates, when known):
+      ${JSON.stringify(places.map(p => ({ title: p.title, latitude: p.latitude, longitude: p.longitude })))}
+
+      For each destination return:
+      - name: the destination's name without the region
+      - region: state, province or country it is in
+      - reasoning: why it fits the traveller ("Why it fits")
+      - highlights: 3-4 short highlights
+      - bestSeason: the best time of year to go
+      - travelTime: travel time and mode from the starting point ("Travel Info")
+      - coordinates: latitude and longitude of the destination's center
+      ${feedback}
+    `;
+
+    const response = await generate(AI_FEATURES.DESTINATIONS, {
+      contents: prompt,
+      config: {
+        systemInstruction,
+        responseMimeType: 'application/json',
+        responseJsonSchema: DESTINATIONS_SCHEMA,
+      },
+      // Only cache answers that validate, so asking again after a bad one calls the model
+      validate: (text) => {
+        if (validateSchema(repairDestinations(parseJson(text)), DESTINATIONS_SCHEMA, 'result').length > 0) {
+          throw new DestinationsError('Destinations do not match the schema');
+        }
+      }
+    });
+
+    let result;
+    try {
+      result = repairDestinations(parseJson(response.text));
+    } catch (parseError) {
+      feedback = 'Your previous answer was not valid JSON. Respond with JSON only.';
+      continue;
+    }
+
+    const errors = validateSchema(result, DESTINATIONS_SCHEMA, 'result');
+    if (errors.length === 0) {
+      return result.destinations.map(d => withGroundedCoordinates(d, places));
+    }
+
+    const valid = Array.isArray(result?.destinations)
+      ? result.destinations.filter(d => validateSchema(d, DESTINATION_SCHEMA).length === 0)
+      : [];
+    if (valid.length > best.length) best = valid;
+    feedback = `Your previous answer did not match the schema:\n${errors.slice(0, 20).map(e => `- ${e}`).join('\n')}\nFix these problems.`;
+  }
+
+  if (best.length === 0) {
+    throw new DestinationsError('Could not extract structured destinations');
+  }
+
+  return best.map(d => withGroundedCoordinates(d, places));
+}
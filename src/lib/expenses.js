@@ -0,0 +1,65 @@
+import { Prisma } from '@prisma/client';
+import { isSupportedCurrency } from './currency.js';
+import { validateSplit, computeShares, toBudgetCurrency, round2 } from './budgetMath.js';
+
+// Expense records shared by the budget routes and the chat assistant's add_expense tool
+
+// Validate expense fields against the budget and build the data to store.
+// `input` is the full expense (for updates, the existing expense merged with the changes).
+export function buildExpenseData(input, budget) {
+  const amount = parseFloat(input.amount);
+  if (isNaN(amount) || amount <= 0) {
+    return { error: 'Amount must be a positive number' };
+  }
+
+  const currency = input.currency ? String(input.currency).toUpperCase() : budget.currency;
+  if (!isSupportedCurrency(currency)) {
+    return { error: `Unsupported currency: ${currency}` };
+  }
+
+  const participantIds = new Set(budget.participants.map(p => p.id));
+  if (!participantIds.has(input.paidById)) {
+    return { error: 'paidById must be a participant of this budget' };
+  }
+
+  const split = validateSplit({
+    amount,
+    splitMode: input.splitMode || 'equal',
+    splitWithIds: input.splitWithIds,
+    splitValues: input.splitValues,
+    participantIds
+  });
+  if (split.error) return split;
+
+  const date = input.date ? new Date(input.date) : new Date();
+  if (isNaN(date.getTime())) {
+    return { error: 'Invalid date' };
+  }
+
+  return {
+    data: {
+      amount,
+      currency,
+      category: input.category,
+      description: input.description,
+      date,
+      paidById: input.paidById,
+      splitMode: split.splitMode,
+      splitWithIds: split.splitWithIds,
+      splitValues: split.splitValues ?? Prisma.DbNull
+    }
+  };
+}
+
+// Add budget-currency amounts and per-participant shares to an expense
+export function withConvertedAmounts(expense, budget) {
+  const shares = computeShares(expense);
+  return {
+    ...expense,
+    currency: expense.currency || budget.currency,
+    convertedAmount: round2(toBudgetCurrency(expense.amount, expense, budget)),
+    shares: Object.fromEntries(
+      Object.entries(shares).map(([id, share]) => [id, round2(toBudgetCurrency(share, expense, budget))])
+    )
+  };
+}
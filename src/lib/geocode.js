@@ -0,0 +1,38 @@
+// Google Maps geocoding shared by the geocode routes and the chat assistant's tools
+
+// Look up an address. Returns { name, lat, lng, formattedAddress }, or { status, error }
+// with the HTTP status to answer with.
+export async function geocodeAddress(address) {
+  const apiKey = process.env.GOOGLE_MAPS_API_KEY;
+  if (!apiKey || apiKey === 'YOUR_GOOGLE_MAPS_API_KEY_HERE') {
+    return { status: 500, error: 'Google Maps API key not configured' };
+  }
+
+  const url = `https://maps.googleapis.com/maps/api/geocode/json?address=${encodeURIComponent(address)}&key=${apiKey}`;
+
+  const response = await fetch(url);
+  const data = await response.json();
+
+  if (data.status === 'OK' && data.results.length > 0) {
+    const result = data.results[0];
+    const { lat, lng } = result.geometry.location;
+
+    // Get a short name from the formatted address
+    const shortName = result.address_components?.[0]?.long_name ||
+                      address.split(',')[0].trim();
+
+    return {
+      name: shortName,
+      lat,
+      lng,
+      formattedAddress: result.formatted_address
+    };
+  }
+
+  if (data.status === 'ZERO_RESULTS') {
+    return { status: 404, error: 'Location not found' };
+  }
+
+  console.error('Geocoding error:', data.status, data.error_message);
+  return { status: 500, error: data.error_message || 'Geocoding failed' };
+}
@@ -0,0 +1,136 @@
+import { addDays, parseCalendarDate, tripDayDates } from './tripDates.js';
+
+// iCalendar (RFC 5545) output for planned trips. Activity times have no timezone in the
+// itinerary, so events use floating local times: 09:00 shows as 09:00 wherever you are.
+
+const DEFAULT_DURATION_MINUTES = 60;
+
+// Helper: Escape text values (backslash, semicolon, comma, newlines)
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Helper: Fold content lines longer than 75 octets onto continuation lines
+function foldLine(line) {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char, 'utf8');
+    // Continuation lines start with a space, which counts towards the limit
+    if (size + charSize > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+const pad = (n) => String(n).padStart(2, '0');
+const formatDate = (date) => `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}`;
+const formatLocalDateTime = (date, minutes) => `${formatDate(date)}T${pad(Math.floor(minutes / 60))}${pad(minutes % 60)}00`;
+const formatUtcDateTime = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Helper: Minutes after midnight for "09:00", "9:30 pm", etc. (null when there's no clock time)
+function parseActivityTime(time) {
+  const match = String(time ?? '').match(/(\d{1,2})(?::(\d{2}))?\s*(am|pm)?/i);
+  if (!match || (!match[2] && !match[3])) return null;
+
+  let hours = parseInt(match[1]);
+  const minutes = match[2] ? parseInt(match[2]) : 0;
+  const meridiem = match[3]?.toLowerCase();
+  if (meridiem === 'pm' && hours < 12) hours += 12;
+  if (meridiem === 'am' && hours === 12) hours = 0;
+
+  return hours < 24 && minutes < 60 ? hours * 60 + minutes : null;
+}
+
+// Helper: VEVENT lines for one planned trip. Trips without a start date produce none.
+export function tripEvents(trip) {
+  const dayDates = tripDayDates(trip);
+  if (dayDates.length === 0) return [];
+
+  const stamp = formatUtcDateTime(new Date(trip.updatedAt || Date.now()));
+  const start = parseCalendarDate(trip.startDate);
+  const events = [];
+
+  // The whole trip as one all-day event
+  events.push([
+    'BEGIN:VEVENT',
+    `UID:trip-${trip.id}@wandergenius`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART;VALUE=DATE:${formatDate(start)}`,
+    `DTEND;VALUE=DATE:${formatDate(addDays(start, trip.days))}`,
+    `SUMMARY:${escapeText(`Trip to ${trip.destinationName}`)}`,
+    `DESCRIPTION:${escapeText(`${trip.days}-day trip from ${trip.startLocation}`)}`,
+    `LOCATION:${escapeText(trip.destinationName)}`,
+    'END:VEVENT'
+  ]);
+
+  const itinerary = Array.isArray(trip.itinerary) ? trip.itinerary : [];
+  itinerary.forEach((dayPlan, dayIndex) => {
+    const dayNumber = parseInt(dayPlan.day) || dayIndex + 1;
+    const dayDate = dayDates[dayNumber - 1];
+    if (!dayDate) return;
+
+    const date = parseCalendarDate(dayDate.date);
+    const activities = Array.isArray(dayPlan.activities) ? dayPlan.activities : [];
+    const startTimes = activities.map(a => parseActivityTime(a.time));
+
+    activities.forEach((activity, index) => {
+      const uid = activity.id || `d${dayNumber}-a${index}`;
+      const lines = [
+        'BEGIN:VEVENT',
+        `UID:${trip.id}-${uid}@wandergenius`,
+        `DTSTAMP:${stamp}`
+      ];
+
+      const startMinutes = startTimes[index];
+      if (startMinutes === null) {
+        lines.push(`DTSTART;VALUE=DATE:${formatDate(date)}`);
+      } else {
+        // Runs until the next timed activity that day, or an hour by default
+        const next = startTimes.slice(index + 1).find(t => t !== null && t > startMinutes);
+        const endMinutes = Math.min(next ?? startMinutes + DEFAULT_DURATION_MINUTES, 24 * 60 - 1);
+        lines.push(`DTSTART:${formatLocalDateTime(date, startMinutes)}`);
+        lines.push(`DTEND:${formatLocalDateTime(date, endMinutes)}`);
+      }
+
+      lines.push(`SUMMARY:${escapeText(activity.activity || `Day ${dayNumber} activity`)}`);
+      const description = [activity.description, dayPlan.title && `Day ${dayNumber}: ${dayPlan.title}`]
+        .filter(Boolean)
+        .join('\n\n');
+      if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+      if (activity.location) lines.push(`LOCATION:${escapeText(activity.location)}`);
+      lines.push('END:VEVENT');
+
+      events.push(lines);
+    });
+  });
+
+  return events;
+}
+
+// Wrap events into a VCALENDAR document
+export function buildCalendar(name, events) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//WanderGenius//Trip Planner//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...events.flat(),
+    'END:VCALENDAR'
+  ];
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
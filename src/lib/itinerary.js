@@ -0,0 +1,331 @@
+import { randomUUID } from 'crypto';
+
+// Structured editing of PlannedTrip.itinerary: [{ day, title, tips, activities: [{ id, time, activity, description, location }] }].
+// Activities carry stable ids so votes (and anything else pointing at an activity)
+// survive inserts, deletes and reordering. Day numbers are always 1..n in order.
+
+const ACTIVITY_FIELDS = ['time', 'activity', 'description', 'location'];
+const DAY_FIELDS = ['title', 'tips'];
+
+export const ITINERARY_OPERATIONS = [
+  'updateActivity',
+  'addActivity',
+  'removeActivity',
+  'moveActivity',
+  'reorderActivities',
+  'addDay',
+  'updateDay',
+  'removeDay',
+  'moveDay'
+];
+
+// Give every activity an id (itineraries generated before ids existed, or by the AI)
+export function withActivityIds(itinerary) {
+  return (Array.isArray(itinerary) ? itinerary : []).map(day => ({
+    ...day,
+    activities: (Array.isArray(day.activities) ? day.activities : []).map(activity => (
+      activity.id ? activity : { id: randomUUID(), ...activity }
+    ))
+  }));
+}
+
+// Pull complete days out of a streamed `{ "itinerary": [...] }` response as soon as each
+// day's closing brace arrives. push() takes the next piece of text and returns the days it
+// completed. Anything after the itinerary array (e.g. the checklist) is ignored.
+export function createItineraryDayParser() {
+  let buffer = '';
+  let position = -1; // Next character to scan, once the itinerary array has started
+  let depth = 0; // Nesting below the itinerary array
+  let inString = false;
+  let escaped = false;
+  let dayStart = -1;
+  let finished = false;
+
+  return {
+    push(text) {
+      buffer += text;
+      const days = [];
+      if (finished) return days;
+
+      if (position === -1) {
+        const match = buffer.match(/"itinerary"\s*:\s*\[/);
+        if (!match) return days;
+        position = match.index + match[0].length;
+      }
+
+      for (; position < buffer.length; position++) {
+        const char = buffer[position];
+        if (inString) {
+          if (escaped) escaped = false;
+          else if (char === '\\') escaped = true;
+          else if (char === '"') inString = false;
+        } else if (char === '"') {
+          inString = true;
+        } else if (char === '{' || char === '[') {
+          if (depth === 0) dayStart = position;
+          depth += 1;
+        } else if (char === '}' || char === ']') {
+          if (depth === 0) {
+            finished = true; // The itinerary array itself has closed
+            break;
+          }
+          depth -= 1;
+          if (depth === 0) {
+            try {
+              const day = JSON.parse(buffer.slice(dayStart, position + 1));
+              if (day && typeof day === 'object' && !Array.isArray(day)) days.push(day);
+            } catch {
+              // Not valid JSON on its own; the full response is parsed at the end anyway
+            }
+          }
+        }
+      }
+
+      return days;
+    }
+  };
+}
+
+// Helper: Current { day, activityIndex } of every activity, keyed by activity id
+export function activityPositions(itinerary) {
+  const positions = new Map();
+  (itinerary || []).forEach(day => {
+    (day.activities || []).forEach((activity, activityIndex) => {
+      if (activity.id) positions.set(activity.id, { day: day.day, activityIndex });
+    });
+  });
+  return positions;
+}
+
+// Helper: Validate activity fields. New activities need a name; updates may be partial.
+function cleanFields(input, fields, { requireActivity = false } = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Expected an object of fields' };
+  }
+
+  const unknown = Object.keys(input).filter(key => !fields.includes(key));
+  if (unknown.length > 0) {
+    return { error: `Unknown field(s): ${unknown.join(', ')}. Allowed: ${fields.join(', ')}` };
+  }
+
+  const values = {};
+  for (const [key, value] of Object.entries(input)) {
+    if (value !== null && typeof value !== 'string') {
+      return { error: `${key} must be a string` };
+    }
+    values[key] = value;
+  }
+
+  if (requireActivity && !values.activity?.trim()) {
+    return { error: 'activity is required' };
+  }
+  if ('activity' in values && !values.activity?.trim()) {
+    return { error: 'activity cannot be empty' };
+  }
+
+  return { values };
+}
+
+// Helper: Check an insert position (0..length) and default to the end
+function resolvePosition(position, length) {
+  if (position === undefined || position === null) return { position: length };
+  if (!Number.isInteger(position) || position < 0 || position > length) {
+    return { error: `position must be an integer between 0 and ${length}` };
+  }
+  return { position };
+}
+
+// Apply a batch of edit operations in order. Day numbers in each operation refer to
+// the itinerary as left by the previous operation. Nothing is applied if any operation fails.
+// Returns { error, operationIndex } or { itinerary, dayMap } where dayMap maps each
+// original day number to its new number (null for removed days).
+export function applyItineraryOperations(itinerary, operations) {
+  if (!Array.isArray(operations) || operations.length === 0) {
+    return { error: 'operations must be a non-empty array' };
+  }
+
+  // Work on a copy; `origins` tracks which original day each entry came from
+  const days = withActivityIds(JSON.parse(JSON.stringify(itinerary || [])));
+  const origins = days.map(d => d.day);
+
+  const renumber = () => days.forEach((d, i) => { d.day = i + 1; });
+  renumber();
+
+  const getDay = (day) => (Number.isInteger(day) && day >= 1 && day <= days.length ? days[day - 1] : null);
+  const findActivity = (activityId) => {
+    for (const day of days) {
+      const index = day.activities.findIndex(a => a.id === activityId);
+      if (index !== -1) return { day, index };
+    }
+    return null;
+  };
+
+  const apply = (op) => {
+    switch (op.type) {
+      case 'updateActivity': {
+        const found = findActivity(op.activityId);
+        if (!found) return 'Activity not found';
+        const { error, values } = cleanFields(op.updates, ACTIVITY_FIELDS);
+        if (error) return error;
+        found.day.activities[found.index] = { ...found.day.activities[found.index], ...values };
+        return null;
+      }
+
+      case 'addActivity': {
+        const day = getDay(op.day);
+        if (!day) return `day must be between 1 and ${days.length}`;
+        const { error, values } = cleanFields(op.activity, ACTIVITY_FIELDS, { requireActivity: true });
+        if (error) return error;
+        const { error: positionError, position } = resolvePosition(op.position, day.activities.length);
+        if (positionError) return positionError;
+        day.activities.splice(position, 0, { id: randomUUID(), ...values });
+        return null;
+      }
+
+      case 'removeActivity': {
+        const found = findActivity(op.activityId);
+        if (!found) return 'Activity not found';
+        found.day.activities.splice(found.index, 1);
+        return null;
+      }
+
+      case 'moveActivity': {
+        const found = findActivity(op.activityId);
+        if (!found) return 'Activity not found';
+        const target = op.toDay === undefined ? found.day : getDay(op.toDay);
+        if (!target) return `toDay must be between 1 and ${days.length}`;
+        const [activity] = found.day.activities.splice(found.index, 1);
+        const { error, position } = resolvePosition(op.position, target.activities.length);
+        if (error) {
+          found.day.activities.splice(found.index, 0, activity);
+          return error;
+        }
+        target.activities.splice(position, 0, activity);
+        return null;
+      }
+
+      case 'reorderActivities': {
+        const day = getDay(op.day);
+        if (!day) return `day must be between 1 and ${days.length}`;
+        const ids = op.activityIds;
+        const current = day.activities.map(a => a.id);
+        if (!Array.isArray(ids) || ids.length !== current.length || new Set(ids).size !== ids.length ||
+            ids.some(id => !current.includes(id))) {
+          return 'activityIds must list every activity of the day exactly once';
+        }
+        day.activities = ids.map(id => day.activities.find(a => a.id === id));
+        return null;
+      }
+
+      case 'addDay': {
+        const dayNumber = op.day ?? days.length + 1;
+        if (!Number.isInteger(dayNumber) || dayNumber < 1 || dayNumber > days.length + 1) {
+          return `day must be between 1 and ${days.length + 1}`;
+        }
+        const details = Object.fromEntries(DAY_FIELDS.filter(f => op[f] !== undefined).map(f => [f, op[f]]));
+        const { error, values } = cleanFields(details, DAY_FIELDS);
+        if (error) return error;
+
+        if (op.activities !== undefined && !Array.isArray(op.activities)) return 'activities must be an array';
+        const activities = [];
+        for (const input of op.activities || []) {
+          const result = cleanFields(input, ACTIVITY_FIELDS, { requireActivity: true });
+          if (result.error) return result.error;
+          activities.push({ id: randomUUID(), ...result.values });
+        }
+
+        days.splice(dayNumber - 1, 0, { day: dayNumber, ...values, activities });
+        origins.splice(dayNumber - 1, 0, null);
+        renumber();
+        return null;
+      }
+
+      case 'updateDay': {
+        const day = getDay(op.day);
+        if (!day) return `day must be between 1 and ${days.length}`;
+        const { error, values } = cleanFields(op.updates, DAY_FIELDS);
+        if (error) return error;
+        Object.assign(day, values);
+        return null;
+      }
+
+      case 'removeDay': {
+        if (!getDay(op.day)) return `day must be between 1 and ${days.length}`;
+        if (days.length === 1) return 'A trip must keep at least one day';
+        days.splice(op.day - 1, 1);
+        origins.splice(op.day - 1, 1);
+        renumber();
+        return null;
+      }
+
+      case 'moveDay': {
+        if (!getDay(op.day)) return `day must be between 1 and ${days.length}`;
+        if (!getDay(op.toDay)) return `toDay must be between 1 and ${days.length}`;
+        const [moved] = days.splice(op.day - 1, 1);
+        const [origin] = origins.splice(op.day - 1, 1);
+        days.splice(op.toDay - 1, 0, moved);
+        origins.splice(op.toDay - 1, 0, origin);
+        renumber();
+        return null;
+      }
+
+      default:
+        return `type must be one of: ${ITINERARY_OPERATIONS.join(', ')}`;
+    }
+  };
+
+  for (let i = 0; i < operations.length; i++) {
+    const op = operations[i];
+    const error = op && typeof op === 'object' ? apply(op) : 'Each operation must be an object';
+    if (error) {
+      return { error: `Operation ${i} (${op?.type ?? 'unknown'}): ${error}`, operationIndex: i };
+    }
+  }
+
+  const dayMap = {};
+  (itinerary || []).forEach(d => { dayMap[d.day] = null; });
+  origins.forEach((origin, i) => {
+    if (origin !== null) dayMap[origin] = i + 1;
+  });
+
+  return { itinerary: days, dayMap };
+}
+
+// Move vote positions to where their activities now are, and drop votes on removed activities
+export async function syncActivityVotes(tx, tripId, itinerary) {
+  const positions = activityPositions(itinerary);
+  const votes = await tx.activityVote.findMany({
+    where: { tripId },
+    select: { id: true, activityId: true, day: true, activityIndex: true }
+  });
+
+  const orphaned = votes.filter(v => !positions.has(v.activityId)).map(v => v.id);
+  if (orphaned.length > 0) {
+    await tx.activityVote.deleteMany({ where: { id: { in: orphaned } } });
+  }
+
+  for (const vote of votes) {
+    const position = positions.get(vote.activityId);
+    if (position && (position.day !== vote.day || position.activityIndex !== vote.activityIndex)) {
+      await tx.activityVote.update({ where: { id: vote.id }, data: position });
+    }
+  }
+}
+
+// Keep each comment's day in step with its activity. Comments on removed activities are
+// kept, so they reappear if the activity is restored from an earlier revision.
+export async function syncActivityComments(tx, tripId, itinerary) {
+  const positions = activityPositions(itinerary);
+  const comments = await tx.activityComment.findMany({
+    where: { tripId },
+    select: { activityId: true, day: true },
+    distinct: ['activityId', 'day']
+  });
+
+  for (const { activityId, day } of comments) {
+    const position = positions.get(activityId);
+    if (position && position.day !== day) {
+      await tx.activityComment.updateMany({ where: { tripId, activityId }, data: { day: position.day } });
+    }
+  }
+}
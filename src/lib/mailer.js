@@ -0,0 +1,65 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Mail transports - each one exposes send({ to, subject, text, html })
+const transports = {
+  // Prints the message to stdout (default for local dev)
+  console: {
+    async send(message) {
+      console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}\n`);
+    }
+  },
+
+  // Writes each message as a JSON file into MAIL_FILE_DIR
+  file: {
+    async send(message) {
+      const dir = process.env.MAIL_FILE_DIR || '.mail';
+      await fs.mkdir(dir, { recursive: true });
+      const safeTo = message.to.replace(/[^a-zA-Z0-9@._-]/g, '_');
+      const fileName = `${Date.now()}-${safeTo}.json`;
+      await fs.writeFile(
+        path.join(dir, fileName),
+        JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+      );
+    }
+  }
+};
+
+// Plug in another transport (e.g. SMTP or a provider API) under a name
+export function registerTransport(name, transport) {
+  if (!transport || typeof transport.send !== 'function') {
+    throw new Error('Mail transport must implement send(message)');
+  }
+  transports[name] = transport;
+}
+
+function getTransport() {
+  const name = process.env.MAIL_TRANSPORT || 'console';
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  return transport;
+}
+
+// Configured frontend base URLs (FRONTEND_URL, comma-separated; the first is the default)
+export function frontendUrls() {
+  const urls = (process.env.FRONTEND_URL || '')
+    .split(',')
+    .map(url => url.trim().replace(/\/+$/, ''))
+    .filter(Boolean);
+  return urls.length > 0 ? urls : ['http://localhost:3000'];
+}
+
+// Build a link into the frontend app. `origin` (e.g. the request's Origin header) picks
+// one of the configured frontends; any other value falls back to the default.
+export function frontendUrl(pathname, origin) {
+  const urls = frontendUrls();
+  const base = urls.find(url => url === origin?.replace(/\/+$/, '')) || urls[0];
+  return `${base}${pathname}`;
+}
+
+export async function sendMail({ to, subject, text, html }) {
+  const from = process.env.MAIL_FROM || 'WanderGenius <no-reply@wandergenius.app>';
+  await getTransport().send({ from, to, subject, text, html: html || null });
+}
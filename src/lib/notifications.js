@@ -0,0 +1,89 @@
+import prisma from './prisma.js';
+
+// In-app notifications. Routes call notify() after the change that triggers one is saved.
+
+export const NOTIFICATION_TYPES = {
+  TRIP_INVITE: 'trip_invite',
+  ITINERARY_EDITED: 'itinerary_edited',
+  TRIP_REVIEWED: 'trip_reviewed',
+  TRIP_IMPORTED: 'trip_imported',
+  BADGE_EARNED: 'badge_earned'
+};
+
+const ALL_TYPES = Object.values(NOTIFICATION_TYPES);
+
+export const isNotificationType = (type) => ALL_TYPES.includes(type);
+
+// Every type with whether the user receives it (types are on unless turned off)
+export async function getNotificationPreferences(userId) {
+  const rows = await prisma.notificationPreference.findMany({ where: { userId } });
+  const preferences = Object.fromEntries(ALL_TYPES.map(type => [type, true]));
+  rows.forEach(row => {
+    if (row.type in preferences) preferences[row.type] = row.enabled;
+  });
+  return preferences;
+}
+
+// Notify a user, unless they turned the type off or caused it themselves (`actorId`).
+// With `collapse`, an unread notification of the same type for the same trip is refreshed
+// instead of adding another one; its data.count says how many times it happened.
+// Failures are logged, never thrown, so they can't fail the request that triggered them.
+export async function notify(userId, type, { title, body = null, link = null, tripId = null, actorId = null, data = {}, collapse = false }) {
+  if (!userId || userId === actorId) return null;
+
+  try {
+    const preference = await prisma.notificationPreference.findUnique({
+      where: { userId_type: { userId, type } }
+    });
+    if (preference && !preference.enabled) return null;
+
+    if (collapse) {
+      const unread = await prisma.notification.findFirst({
+        where: { userId, type, tripId, readAt: null },
+        orderBy: { createdAt: 'desc' }
+      });
+      if (unread) {
+        return await prisma.notification.update({
+          where: { id: unread.id },
+          data: {
+            title,
+            body,
+            link,
+            actorId,
+            data: { ...data, count: (unread.data?.count || 1) + 1 },
+            createdAt: new Date()
+          }
+        });
+      }
+    }
+
+    return await prisma.notification.create({
+      data: { userId, type, title, body, link, tripId, actorId, data }
+    });
+  } catch (error) {
+    console.error('Notify error:', error);
+    return null;
+  }
+}
+
+// Tell the owner that someone else changed their itinerary. Repeated edits collapse into
+// one notification until the owner reads it.
+export async function notifyItineraryEdit(trip, editorId) {
+  if (trip.userId === editorId) return;
+
+  try {
+    const editor = await prisma.user.findUnique({
+      where: { id: editorId },
+      select: { name: true, email: true }
+    });
+    await notify(trip.userId, NOTIFICATION_TYPES.ITINERARY_EDITED, {
+      title: `${editor?.name || editor?.email || 'A collaborator'} edited your trip to ${trip.destinationName}`,
+      link: `/trips/${trip.id}`,
+      tripId: trip.id,
+      actorId: editorId,
+      collapse: true
+    });
+  } catch (error) {
+    console.error('Notify itinerary edit error:', error);
+  }
+}
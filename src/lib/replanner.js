@@ -0,0 +1,164 @@
+import { randomUUID } from 'crypto';
+import { generate, parseJson, AI_FEATURES } from './ai.js';
+
+export class ReplanError extends Error {}
+
+// Helper: Activities whose downvotes outnumber their upvotes, in itinerary order
+export function downvotedActivities(itinerary, votes) {
+  const tallies = new Map();
+  votes.forEach(v => {
+    const tally = tallies.get(v.activityId) || { up: 0, down: 0 };
+    tally[v.vote === 'up' ? 'up' : 'down']++;
+    tallies.set(v.activityId, tally);
+  });
+
+  const activities = [];
+  (itinerary || []).forEach(day => {
+    (day.activities || []).forEach((activity, activityIndex) => {
+      const tally = tallies.get(activity.id);
+      if (tally && tally.up - tally.down < 0) {
+        activities.push({
+          activityId: activity.id,
+          day: day.day,
+          activityIndex,
+          votes: { ...tally, net: tally.up - tally.down },
+          original: activity
+        });
+      }
+    });
+  });
+  return activities;
+}
+
+// Helper: Swap proposed replacements into the current itinerary. Each replacement gets a
+// new activity id, so votes on the activity it replaces are dropped when it is saved.
+// Fails if a replaced activity was removed or edited after the proposal was made.
+export function applyReplacements(itinerary, changes) {
+  const days = JSON.parse(JSON.stringify(itinerary || []));
+
+  for (const change of changes) {
+    const day = days.find(d => (d.activities || []).some(a => a.id === change.activityId));
+    if (!day) {
+      return { error: `"${change.original.activity}" is no longer in the itinerary` };
+    }
+
+    const index = day.activities.findIndex(a => a.id === change.activityId);
+    const current = day.activities[index];
+    if (['time', 'activity', 'description', 'location'].some(field => current[field] !== change.original[field])) {
+      return { error: `"${change.original.activity}" was edited after this proposal was made` };
+    }
+
+    day.activities[index] = { id: randomUUID(), ...change.replacement };
+  }
+
+  return { itinerary: days };
+}
+
+// Helper: Describe the travellers' profiles for the prompt
+const describeProfile = (p) => [
+  `- ${p.name || 'Traveller'}:`,
+  `travel style ${p.travelStyle || 'not specified'};`,
+  `interests ${p.interests?.join(', ') || 'none listed'};`,
+  `hobbies ${p.hobbies?.join(', ') || 'none listed'};`,
+  `constraints ${p.constraints || 'none'}`
+].join(' ');
+
+// Ask Gemini for a replacement for each downvoted activity (see downvotedActivities).
+// Replacements keep the original time slot. Returns the activities with `replacement`
+// and `reason` added; activities the model skipped are left out.
+export async function proposeReplacements({ trip, activities, profiles }) {
+  const systemInstruction = `
+      You are a travel planner helping a group fix their itinerary. The group voted against
+      some activities. Suggest one alternative for each that the whole group is more likely
+      to enjoy, fits the same time slot and is close to the original location.
+    `;
+
+  const targets = activities.map(a => ({
+    activityId: a.activityId,
+    day: a.day,
+    dayTitle: trip.itinerary.find(d => d.day === a.day)?.title || null,
+    time: a.original.time,
+    activity: a.original.activity,
+    description: a.original.description,
+    location: a.original.location,
+    upvotes: a.votes.up,
+    downvotes: a.votes.down
+  }));
+
+  const prompt = `
+      Trip: ${trip.days} days in ${trip.destinationName}, starting from ${trip.startLocation}.
+
+      TRAVELLERS:
+      ${profiles.map(describeProfile).join('\n      ') || '- No profiles available'}
+
+      FULL ITINERARY (for context - avoid repeating activities that are already planned):
+      ${JSON.stringify(trip.itinerary || [])}
+
+      ACTIVITIES TO REPLACE:
+      ${JSON.stringify(targets)}
+
+      Respond with ONLY valid JSON in this exact format:
+      {
+        "replacements": [
+          {
+            "activityId": "id of the activity being replaced",
+            "activity": "Short name of the new activity",
+            "description": "What the group will do",
+            "location": "Where it is",
+            "reason": "Why this suits the group better than the original"
+          }
+        ]
+      }
+
+      IMPORTANT RULES:
+      1. Include exactly one replacement for each activity to replace, using its activityId
+      2. The new activity must fit the original "time" and take about as long
+      3. Keep it in or near the original location so the rest of the day still works
+      4. Respect every traveller's constraints
+    `;
+
+  // Not cached: asking again after a rejected proposal should give new ideas
+  const response = await generate(AI_FEATURES.REPLAN, {
+    contents: prompt,
+    config: {
+      systemInstruction,
+      responseMimeType: 'application/json',
+    },
+    cache: false
+  });
+
+  let result;
+  try {
+    result = parseJson(response.text);
+  } catch (parseError) {
+    throw new ReplanError('Could not parse the suggested replacements');
+  }
+
+  if (!Array.isArray(result?.replacements)) {
+    throw new ReplanError('Suggestions are missing the replacements list');
+  }
+
+  const changes = activities
+    .map(target => {
+      const suggestion = result.replacements.find(r => r?.activityId === target.activityId);
+      if (!suggestion || typeof suggestion.activity !== 'string' || !suggestion.activity.trim()) return null;
+
+      return {
+        ...target,
+        replacement: {
+          time: target.original.time,
+          activity: suggestion.activity.trim(),
+          description: typeof suggestion.description === 'string' ? suggestion.description : '',
+          location: typeof suggestion.location === 'string' ? suggestion.location : target.original.location
+        },
+        reason: typeof suggestion.reason === 'string' ? suggestion.reason : null
+      };
+    })
+    .filter(Boolean);
+
+  if (changes.length === 0) {
+    throw new ReplanError('No usable replacements were suggested');
+  }
+
+  return changes;
+}
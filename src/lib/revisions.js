@@ -0,0 +1,247 @@
+import prisma from './prisma.js';
+import { syncActivityVotes, syncActivityComments } from './itinerary.js';
+import { tripEndDate } from './tripDates.js';
+import { publishTripEvent } from './tripChannel.js';
+
+// Every change to a trip's itinerary or checklist goes through updateTripPlan, which saves
+// the change and a full snapshot (ItineraryRevision) of both in one transaction.
+// PlannedTrip.version goes up with each change, so a write made against an older
+// version is refused instead of silently overwriting someone else's edit.
+
+export const REVISION_SOURCES = {
+  BASELINE: 'baseline',                     // State before the first recorded change
+  ITINERARY_EDIT: 'itinerary_edit',
+  CHECKLIST_UPDATE: 'checklist_update',
+  SMART_PACKING: 'smart_packing',
+  PACKING_TEMPLATE: 'packing_template',
+  RESTORE: 'restore',
+  REPLAN: 'replan',
+  ASSISTANT: 'assistant'                    // Applied from a confirmed chat assistant action
+};
+
+export class PlanConflictError extends Error {
+  constructor(message = 'This trip was changed by someone else. Merge your change into the current version and try again.') {
+    super(message);
+    this.name = 'PlanConflictError';
+  }
+}
+
+// Helper: The trip version a write was based on, from `If-Match: "<version>"` or a
+// `version` body field. Returns { version } (undefined when not sent) or { error }.
+export function expectedVersion(req) {
+  const header = req.get('If-Match');
+  if (header && header.trim() !== '*') {
+    const match = header.trim().match(/^(?:W\/)?"?(\d+)"?$/);
+    return match ? { version: parseInt(match[1]) } : { error: 'If-Match must be a trip version, e.g. "3"' };
+  }
+
+  const version = req.body?.version;
+  if (version === undefined || version === null) return {};
+  if (!Number.isInteger(version) || version < 1) {
+    return { error: 'version must be a positive integer' };
+  }
+  return { version };
+}
+
+// Helper: Like expectedVersion(), for writes that replace the whole itinerary or checklist.
+// Without a version they would silently undo changes the client never saw, so one is
+// required. Returns { version } or { status, error }.
+export function requiredVersion(req) {
+  const { version, error } = expectedVersion(req);
+  if (error) return { status: 400, error };
+  if (version === undefined) {
+    return { status: 428, error: 'Send the trip version you last saw, as If-Match: "<version>" or a version field' };
+  }
+  return { version };
+}
+
+// Helper: 409 body with the trip's current plan, for the client to merge and retry
+export async function planConflictBody(tripId, conflict) {
+  const trip = await prisma.plannedTrip.findUnique({
+    where: { id: tripId },
+    select: { version: true, days: true, itinerary: true, checklist: true }
+  });
+  return { error: conflict.message, current: trip };
+}
+
+// Save itinerary and/or checklist changes for a trip (as loaded by requireTripRole).
+// With a new itinerary, `days`/`endDate` follow its length and votes and comments follow
+// their activities; `dayMap` (old day -> new day) moves photos along with reordered days.
+// Throws PlanConflictError if `expectedVersion` is stale or the trip changed since it was loaded.
+// Open trip streams get itinerary.updated / checklist.updated once the change is saved.
+export async function updateTripPlan(trip, { itinerary, checklist, dayMap }, { authorId, source, expectedVersion }) {
+  if (expectedVersion !== undefined && expectedVersion !== trip.version) {
+    throw new PlanConflictError();
+  }
+
+  const updated = await prisma.$transaction(async (tx) => {
+    const data = { version: { increment: 1 } };
+    if (checklist !== undefined) data.checklist = checklist;
+    if (itinerary !== undefined) {
+      data.itinerary = itinerary;
+      data.days = itinerary.length;
+      if (trip.startDate) data.endDate = tripEndDate(trip.startDate, itinerary.length);
+    }
+
+    // Keep the pre-change state of trips that have no history yet
+    const hasHistory = await tx.itineraryRevision.count({ where: { tripId: trip.id } });
+    if (!hasHistory) {
+      await tx.itineraryRevision.create({
+        data: {
+          tripId: trip.id,
+          source: REVISION_SOURCES.BASELINE,
+          itinerary: trip.itinerary ?? [],
+          checklist: trip.checklist ?? [],
+          createdAt: trip.updatedAt
+        }
+      });
+    }
+
+    // Only write if nobody else has saved since `trip` was read
+    const { count } = await tx.plannedTrip.updateMany({
+      where: { id: trip.id, version: trip.version },
+      data
+    });
+    if (count === 0) throw new PlanConflictError();
+
+    const updated = await tx.plannedTrip.findUnique({ where: { id: trip.id } });
+
+    if (dayMap) {
+      const photos = await tx.tripPhoto.findMany({
+        where: { tripId: trip.id },
+        select: { id: true, day: true }
+      });
+      for (const photo of photos) {
+        const day = dayMap[photo.day];
+        if (day && day !== photo.day) {
+          await tx.tripPhoto.update({ where: { id: photo.id }, data: { day } });
+        }
+      }
+    }
+
+    if (itinerary !== undefined) {
+      await syncActivityVotes(tx, trip.id, itinerary);
+      await syncActivityComments(tx, trip.id, itinerary);
+    }
+
+    await tx.itineraryRevision.create({
+      data: {
+        tripId: trip.id,
+        authorId,
+        source,
+        itinerary: updated.itinerary,
+        checklist: updated.checklist
+      }
+    });
+
+    return updated;
+  });
+
+  const event = { version: updated.version, source };
+  if (itinerary !== undefined) {
+    publishTripEvent(trip.id, 'itinerary.updated', { ...event, days: updated.days, itinerary: updated.itinerary }, { actorId: authorId });
+  }
+  if (checklist !== undefined) {
+    publishTripEvent(trip.id, 'checklist.updated', { ...event, checklist: updated.checklist }, { actorId: authorId });
+  }
+
+  return updated;
+}
+
+// Helper: Field-level differences between two objects, ignoring `ignore` keys
+function fieldChanges(before, after, ignore = []) {
+  const changes = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  keys.forEach(key => {
+    if (ignore.includes(key)) return;
+    if (JSON.stringify(before?.[key]) !== JSON.stringify(after?.[key])) {
+      changes[key] = { from: before?.[key] ?? null, to: after?.[key] ?? null };
+    }
+  });
+  return changes;
+}
+
+// Helper: Activities of an itinerary keyed by id, with their position
+function indexActivities(itinerary) {
+  const activities = new Map();
+  (Array.isArray(itinerary) ? itinerary : []).forEach(day => {
+    (day.activities || []).forEach((activity, activityIndex) => {
+      activities.set(activity.id, { activity, day: day.day, activityIndex });
+    });
+  });
+  return activities;
+}
+
+// Structured difference between two { itinerary, checklist } snapshots
+export function diffSnapshots(from, to) {
+  const fromDays = Array.isArray(from.itinerary) ? from.itinerary : [];
+  const toDays = Array.isArray(to.itinerary) ? to.itinerary : [];
+
+  // Days: count and day-level fields (title, tips) by position
+  const dayChanges = [];
+  for (let i = 0; i < Math.min(fromDays.length, toDays.length); i++) {
+    const changes = fieldChanges(fromDays[i], toDays[i], ['day', 'activities']);
+    if (Object.keys(changes).length > 0) dayChanges.push({ day: i + 1, changes });
+  }
+
+  // Activities: matched by their stable id
+  const before = indexActivities(fromDays);
+  const after = indexActivities(toDays);
+  const added = [];
+  const removed = [];
+  const moved = [];
+  const changed = [];
+
+  after.forEach((entry, id) => {
+    const previous = before.get(id);
+    if (!previous) {
+      added.push({ id, day: entry.day, activityIndex: entry.activityIndex, activity: entry.activity });
+      return;
+    }
+    if (previous.day !== entry.day || previous.activityIndex !== entry.activityIndex) {
+      moved.push({
+        id,
+        activity: entry.activity.activity,
+        from: { day: previous.day, activityIndex: previous.activityIndex },
+        to: { day: entry.day, activityIndex: entry.activityIndex }
+      });
+    }
+    const changes = fieldChanges(previous.activity, entry.activity, ['id']);
+    if (Object.keys(changes).length > 0) {
+      changed.push({ id, day: entry.day, activityIndex: entry.activityIndex, changes });
+    }
+  });
+  before.forEach((entry, id) => {
+    if (!after.has(id)) {
+      removed.push({ id, day: entry.day, activityIndex: entry.activityIndex, activity: entry.activity });
+    }
+  });
+
+  // Checklist: matched by item id
+  const fromItems = new Map((Array.isArray(from.checklist) ? from.checklist : []).map(item => [item.id, item]));
+  const toItems = new Map((Array.isArray(to.checklist) ? to.checklist : []).map(item => [item.id, item]));
+  const checklist = { added: [], removed: [], changed: [] };
+  toItems.forEach((item, id) => {
+    if (!fromItems.has(id)) {
+      checklist.added.push(item);
+      return;
+    }
+    const changes = fieldChanges(fromItems.get(id), item, ['id']);
+    if (Object.keys(changes).length > 0) checklist.changed.push({ id, task: item.task, changes });
+  });
+  fromItems.forEach((item, id) => {
+    if (!toItems.has(id)) checklist.removed.push(item);
+  });
+
+  const activities = { added, removed, moved, changed };
+  return {
+    itinerary: {
+      days: { from: fromDays.length, to: toDays.length, changed: dayChanges },
+      activities
+    },
+    checklist,
+    hasChanges: fromDays.length !== toDays.length || dayChanges.length > 0 ||
+      Object.values(activities).some(list => list.length > 0) ||
+      Object.values(checklist).some(list => list.length > 0)
+  };
+}
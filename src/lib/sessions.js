@@ -0,0 +1,117 @@
+import jwt from 'jsonwebtoken';
+import { createHash, randomBytes } from 'crypto';
+import prisma from './prisma.js';
+
+export class SessionError extends Error {}
+
+const hashSecret = (secret) => createHash('sha256').update(secret).digest('hex');
+
+// Refresh tokens look like "<sessionId>.<secret>" - only the secret's hash is stored
+function parseRefreshToken(refreshToken) {
+  if (typeof refreshToken !== 'string') return null;
+  const [sessionId, secret] = refreshToken.split('.');
+  if (!sessionId || !secret) return null;
+  return { sessionId, secret };
+}
+
+function signAccessToken(userId, sessionId) {
+  return jwt.sign(
+    { userId, sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.ACCESS_TOKEN_TTL || '15m' }
+  );
+}
+
+function refreshExpiry() {
+  const days = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+}
+
+// Start a new session for a user and return its access/refresh token pair
+export async function createSession(userId, req) {
+  const secret = randomBytes(32).toString('hex');
+
+  const session = await prisma.session.create({
+    data: {
+      userId,
+      refreshTokenHash: hashSecret(secret),
+      userAgent: req.headers['user-agent'] || null,
+      ipAddress: req.ip || null,
+      expiresAt: refreshExpiry()
+    }
+  });
+
+  return {
+    token: signAccessToken(userId, session.id),
+    refreshToken: `${session.id}.${secret}`
+  };
+}
+
+// Exchange a refresh token for a new pair. Each refresh token is single-use:
+// presenting an already-rotated token revokes the whole session.
+export async function rotateSession(refreshToken) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) throw new SessionError('Invalid refresh token');
+
+  const session = await prisma.session.findUnique({ where: { id: parsed.sessionId } });
+  if (!session || session.revokedAt || session.expiresAt < new Date()) {
+    throw new SessionError('Session expired or revoked');
+  }
+
+  if (session.refreshTokenHash !== hashSecret(parsed.secret)) {
+    await prisma.session.update({
+      where: { id: session.id },
+      data: { revokedAt: new Date() }
+    });
+    throw new SessionError('Refresh token reuse detected, session revoked');
+  }
+
+  const secret = randomBytes(32).toString('hex');
+
+  // Conditional update so two concurrent refreshes can't both succeed
+  const { count } = await prisma.session.updateMany({
+    where: { id: session.id, refreshTokenHash: session.refreshTokenHash, revokedAt: null },
+    data: {
+      refreshTokenHash: hashSecret(secret),
+      lastUsedAt: new Date(),
+      expiresAt: refreshExpiry()
+    }
+  });
+
+  if (count === 0) throw new SessionError('Session expired or revoked');
+
+  return {
+    userId: session.userId,
+    token: signAccessToken(session.userId, session.id),
+    refreshToken: `${session.id}.${secret}`
+  };
+}
+
+// Revoke the session a refresh token belongs to (no-op for unknown tokens)
+export async function revokeSessionByRefreshToken(refreshToken) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return false;
+
+  const { count } = await prisma.session.updateMany({
+    where: {
+      id: parsed.sessionId,
+      refreshTokenHash: hashSecret(parsed.secret),
+      revokedAt: null
+    },
+    data: { revokedAt: new Date() }
+  });
+
+  return count > 0;
+}
+
+// Check whether a session is still usable for access token authentication
+export async function isSessionActive(sessionId) {
+  if (!sessionId) return false;
+
+  const session = await prisma.session.findUnique({
+    where: { id: sessionId },
+    select: { revokedAt: true, expiresAt: true }
+  });
+
+  return !!session && !session.revokedAt && session.expiresAt > new Date();
+}
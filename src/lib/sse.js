@@ -0,0 +1,19 @@
+// Server-Sent Events over a plain Express response, used by the live trip channel and
+// by streamed AI responses
+
+// Send the event stream headers right away, so the client sees the stream open
+export function openEventStream(res) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // Stop nginx from buffering the stream
+  });
+  res.flushHeaders();
+}
+
+// Write one event, unless the client has already gone away
+export function sendEvent(res, type, data) {
+  if (res.destroyed || res.writableEnded) return;
+  res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
@@ -0,0 +1,119 @@
+import { randomUUID } from 'crypto';
+import { openEventStream } from './sse.js';
+
+// Live updates for a planned trip over Server-Sent Events. Routes call publishTripEvent
+// after a change is saved; every open stream on that trip receives it. Connections live
+// in this process's memory, so running several API instances needs a shared pub/sub.
+
+const HEARTBEAT_MS = 25000;
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+// tripId -> Map(connectionId -> { userId, name, role, res })
+const channels = new Map();
+let eventId = 0;
+
+// Helper: A numbered event, formatted as one SSE message
+function formatEvent(tripId, type, data, actorId = null) {
+  eventId += 1;
+  const payload = { type, tripId, actorId, data, at: new Date().toISOString() };
+  return `id: ${eventId}\nevent: ${type}\ndata: ${JSON.stringify(payload)}\n\n`;
+}
+
+// Who has the trip open right now (one entry per user, however many tabs)
+export function tripViewers(tripId) {
+  const viewers = new Map();
+  channels.get(tripId)?.forEach(({ userId, name, role }) => {
+    if (!viewers.has(userId)) viewers.set(userId, { userId, name, role, connections: 0 });
+    viewers.get(userId).connections += 1;
+  });
+  return [...viewers.values()];
+}
+
+// Send an event to everyone connected to a trip. `actorId` is the user who caused it.
+export function publishTripEvent(tripId, type, data, { actorId = null } = {}) {
+  const connections = channels.get(tripId);
+  if (!connections) return;
+
+  const message = formatEvent(tripId, type, data, actorId);
+  connections.forEach(({ res }) => writeOpen(res, message));
+}
+
+// Helper: Write to a stream, unless the client has gone away or it was already ended
+function writeOpen(res, message) {
+  if (res.destroyed || res.writableEnded) return;
+  res.write(message);
+}
+
+// Helper: Tell the trip's streams who is viewing
+function publishPresence(tripId) {
+  publishTripEvent(tripId, 'presence', { viewers: tripViewers(tripId) });
+}
+
+// Helper: Forget a connection and tell the trip's other streams who is left
+function removeConnection(tripId, connectionId) {
+  const connections = channels.get(tripId);
+  if (!connections?.delete(connectionId)) return;
+  if (connections.size === 0) channels.delete(tripId);
+  publishPresence(tripId);
+}
+
+// Helper: Tell a stream why it lost access, then close it. The connection is dropped right
+// away rather than on 'close', so nothing is published to the ended response meanwhile.
+function revokeConnection(tripId, connectionId, reason) {
+  const connection = channels.get(tripId)?.get(connectionId);
+  if (!connection) return;
+  removeConnection(tripId, connectionId);
+  writeOpen(connection.res, formatEvent(tripId, 'access-revoked', { reason }));
+  connection.res.end();
+}
+
+// Turn a response into an event stream for `tripId` until the client goes away.
+// Access is only checked when the stream opens, so `checkAccess()` is called again on every
+// heartbeat: it resolves to the user's current role, or null once their session is revoked
+// or they lose the trip, which closes the stream. It is also closed when the access token
+// runs out at `expiresAt`, so the client reconnects with a fresh one.
+export function openTripStream(res, { tripId, user, role, expiresAt = null, checkAccess = null }) {
+  openEventStream(res);
+
+  const connectionId = randomUUID();
+  const connection = { userId: user.id, name: user.name, role, res };
+  if (!channels.has(tripId)) channels.set(tripId, new Map());
+  channels.get(tripId).set(connectionId, connection);
+
+  res.write(formatEvent(tripId, 'ready', { connectionId, viewers: tripViewers(tripId) }));
+  publishPresence(tripId);
+
+  // Comment lines keep proxies and load balancers from closing an idle stream
+  const heartbeat = setInterval(async () => {
+    writeOpen(res, ': ping\n\n');
+    if (!checkAccess) return;
+
+    try {
+      const current = await checkAccess();
+      if (!current) return revokeConnection(tripId, connectionId, 'access');
+      if (current !== connection.role) {
+        connection.role = current;
+        publishPresence(tripId);
+      }
+    } catch (error) {
+      console.error('Trip stream access check error:', error);
+    }
+  }, HEARTBEAT_MS);
+
+  const expiry = expiresAt
+    ? setTimeout(() => revokeConnection(tripId, connectionId, 'expired'), Math.min(Math.max(0, expiresAt - Date.now()), MAX_TIMEOUT_MS))
+    : null;
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+    removeConnection(tripId, connectionId);
+  });
+}
+
+// Close a user's streams on a trip, e.g. after they are removed as a collaborator
+export function disconnectTripUser(tripId, userId) {
+  channels.get(tripId)?.forEach((connection, connectionId) => {
+    if (connection.userId === userId) revokeConnection(tripId, connectionId, 'removed');
+  });
+}
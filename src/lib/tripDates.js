@@ -0,0 +1,75 @@
+// Calendar-date helpers for planned trips. Trip dates are stored as DATE columns
+// (UTC midnight); day 1 of the trip is startDate.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const toDateString = (date) => date.toISOString().split('T')[0];
+
+// Helper: Parse a calendar date ("2026-03-01" or any parseable timestamp) to UTC midnight.
+// Plain dates and local timestamps keep the calendar day they were written with.
+export function parseCalendarDate(value) {
+  if (value instanceof Date) {
+    if (isNaN(value.getTime())) return null;
+    return new Date(Date.UTC(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate()));
+  }
+
+  const text = String(value ?? '');
+  const match = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (match) {
+    const date = new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+    return date.getUTCDate() === +match[3] ? date : null;
+  }
+
+  const parsed = new Date(text);
+  return text && !isNaN(parsed.getTime()) ? parseCalendarDate(parsed) : null;
+}
+
+export const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+// Last day of a trip that starts on startDate and lasts `days` days
+export const tripEndDate = (startDate, days) => addDays(parseCalendarDate(startDate), days - 1);
+
+// Helper: The calendar date of each trip day, or [] when the trip has no start date
+export function tripDayDates(trip) {
+  if (!trip.startDate) return [];
+  const start = parseCalendarDate(trip.startDate);
+  return Array.from({ length: trip.days }, (_, i) => ({ day: i + 1, date: toDateString(addDays(start, i)) }));
+}
+
+// Helper: Which trip day a date falls on, or null if the trip has no dates or it's outside the trip
+export function tripDayForDate(trip, value) {
+  if (!trip.startDate) return null;
+
+  const date = parseCalendarDate(value);
+  if (!date) return null;
+
+  const day = Math.round((date.getTime() - parseCalendarDate(trip.startDate).getTime()) / DAY_MS) + 1;
+  return day >= 1 && day <= trip.days ? day : null;
+}
+
+// Helper: Validate requested trip dates for a trip of `days` days. A null startDate clears
+// the dates; endDate is optional but must match the trip length when given.
+// Returns { error } or { startDate, endDate }.
+export function resolveTripDates({ startDate, endDate }, days) {
+  if (startDate === null || startDate === '') {
+    return { startDate: null, endDate: null };
+  }
+
+  const start = parseCalendarDate(startDate);
+  if (!start) {
+    return { error: 'startDate must be a valid date (YYYY-MM-DD)' };
+  }
+
+  const end = tripEndDate(start, days);
+  if (endDate !== undefined && endDate !== null) {
+    const requestedEnd = parseCalendarDate(endDate);
+    if (!requestedEnd) {
+      return { error: 'endDate must be a valid date (YYYY-MM-DD)' };
+    }
+    if (requestedEnd.getTime() !== end.getTime()) {
+      return { error: `This trip is ${days} days long, so it must end on ${toDateString(end)}` };
+    }
+  }
+
+  return { startDate: start, endDate: end };
+}
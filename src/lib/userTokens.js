@@ -0,0 +1,59 @@
+import { createHash, randomBytes } from 'crypto';
+import prisma from './prisma.js';
+
+// Single-use, expiring tokens sent to users by email
+export const TOKEN_TYPES = {
+  PASSWORD_RESET: 'password_reset',
+  EMAIL_VERIFICATION: 'email_verification'
+};
+
+const TOKEN_TTL_MS = {
+  [TOKEN_TYPES.PASSWORD_RESET]: 60 * 60 * 1000,            // 1 hour
+  [TOKEN_TYPES.EMAIL_VERIFICATION]: 24 * 60 * 60 * 1000    // 24 hours
+};
+
+const hashToken = (token) => createHash('sha256').update(token).digest('hex');
+
+// Issue a new token, invalidating any unused token of the same type
+export async function createUserToken(userId, type) {
+  const token = randomBytes(32).toString('hex');
+
+  await prisma.$transaction([
+    prisma.userToken.updateMany({
+      where: { userId, type, usedAt: null },
+      data: { usedAt: new Date() }
+    }),
+    prisma.userToken.create({
+      data: {
+        userId,
+        type,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + TOKEN_TTL_MS[type])
+      }
+    })
+  ]);
+
+  return token;
+}
+
+// Mark a token as used and return it, or null if it is unknown, expired or already used
+export async function consumeUserToken(token, type) {
+  if (typeof token !== 'string' || !token) return null;
+
+  const tokenHash = hashToken(token);
+
+  // Conditional update so the same token can't be redeemed twice concurrently
+  const { count } = await prisma.userToken.updateMany({
+    where: {
+      tokenHash,
+      type,
+      usedAt: null,
+      expiresAt: { gt: new Date() }
+    },
+    data: { usedAt: new Date() }
+  });
+
+  if (count === 0) return null;
+
+  return prisma.userToken.findUnique({ where: { tokenHash } });
+}
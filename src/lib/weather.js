@@ -0,0 +1,58 @@
+import { tripDayDates } from './tripDates.js';
+
+// Daily summaries from the OpenWeatherMap 5-day / 3-hour forecast (one reading per day,
+// taken around midday). Returns null when no API key is configured or the request fails.
+export async function getDailyForecast(lat, lng) {
+  const apiKey = process.env.OPENWEATHERMAP_API_KEY;
+  if (!apiKey || lat == null || lng == null) return null;
+
+  try {
+    const forecastUrl = `https://api.openweathermap.org/data/2.5/forecast?lat=${lat}&lon=${lng}&units=metric&appid=${apiKey}`;
+    const response = await fetch(forecastUrl);
+    const data = await response.json();
+
+    if (!data.list) return null;
+
+    const dailyForecast = [];
+    const processedDates = new Set();
+
+    for (const item of data.list) {
+      const date = item.dt_txt.split(' ')[0];
+      const hour = parseInt(item.dt_txt.split(' ')[1].split(':')[0]);
+
+      // Pick the noon reading for each day, or closest available
+      if (!processedDates.has(date) && (hour === 12 || hour === 15)) {
+        processedDates.add(date);
+        dailyForecast.push({
+          date,
+          dayName: new Date(date).toLocaleDateString('en-US', { weekday: 'short' }),
+          temp: Math.round(item.main.temp),
+          tempMin: Math.round(item.main.temp_min),
+          tempMax: Math.round(item.main.temp_max),
+          condition: item.weather[0].main,
+          description: item.weather[0].description,
+          icon: item.weather[0].icon,
+          humidity: item.main.humidity,
+          windSpeed: Math.round(item.wind.speed * 3.6) // Convert m/s to km/h
+        });
+      }
+    }
+
+    return dailyForecast;
+  } catch (error) {
+    console.error('Weather fetch error:', error);
+    return null;
+  }
+}
+
+// Helper: Line each trip day up with the forecast for its calendar date.
+// Days outside the forecast window get forecast: null. Trips without a start date
+// can't be matched and return [].
+export function matchForecastToTrip(forecast, trip) {
+  const byDate = new Map((forecast || []).map(f => [f.date, f]));
+  return tripDayDates(trip).map(({ day, date }) => ({
+    day,
+    date,
+    forecast: byDate.get(date) || null
+  }));
+}
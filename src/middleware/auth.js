@@ -1,6 +1,7 @@
 import jwt from 'jsonwebtoken';
+import { isSessionActive } from '../lib/sessions.js';
 
-export const authenticateToken = (req, res, next) => {
+export const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
 
@@ -8,24 +9,48 @@ export const authenticateToken = (req, res, next) => {
     return res.status(401).json({ error: 'Access token required' });
   }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.userId = decoded.userId;
-    next();
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
   } catch (err) {
     return res.status(403).json({ error: 'Invalid or expired token' });
   }
+
+  try {
+    // Access tokens are bound to a session so logout/revocation takes effect immediately
+    if (!(await isSessionActive(decoded.sessionId))) {
+      return res.status(401).json({ error: 'Session has been revoked' });
+    }
+  } catch (err) {
+    return next(err);
+  }
+
+  req.userId = decoded.userId;
+  req.sessionId = decoded.sessionId;
+  req.tokenExpiresAt = decoded.exp ? decoded.exp * 1000 : null;
+  next();
+};
+
+// EventSource can't send headers, so event streams may pass the access token as ?access_token=
+export const allowQueryToken = (req, res, next) => {
+  if (!req.headers['authorization'] && typeof req.query.access_token === 'string') {
+    req.headers['authorization'] = `Bearer ${req.query.access_token}`;
+  }
+  next();
 };
 
 // Optional auth - continues even without token, but sets userId if valid token present
-export const optionalAuth = (req, res, next) => {
+export const optionalAuth = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
 
   if (token) {
     try {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      req.userId = decoded.userId;
+      if (await isSessionActive(decoded.sessionId)) {
+        req.userId = decoded.userId;
+        req.sessionId = decoded.sessionId;
+      }
     } catch (err) {
       // Invalid token, but we continue anyway for public endpoints
     }
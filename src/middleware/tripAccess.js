@@ -0,0 +1,54 @@
+import prisma from '../lib/prisma.js';
+
+// Higher rank includes all permissions of the lower ones
+const ROLE_RANK = { viewer: 1, editor: 2, owner: 3 };
+
+// Helper: Resolve a user's role on an already-loaded trip (owner, accepted collaborator, or null)
+export function getTripRole(trip, userId) {
+  if (!trip || !userId) return null;
+  if (trip.userId === userId) return 'owner';
+
+  const collaborator = trip.collaborators?.find(
+    c => c.userId === userId && c.status === 'accepted'
+  );
+  return collaborator && ROLE_RANK[collaborator.role] ? collaborator.role : null;
+}
+
+export function hasTripRole(role, minRole) {
+  return !!role && ROLE_RANK[role] >= ROLE_RANK[minRole];
+}
+
+// Load the PlannedTrip (with collaborators) named by the route and require at least `minRole`.
+// Sets req.trip and req.tripRole. The trip id is read from req.params[param], falling back to req.body.
+export const requireTripRole = (minRole, { param = 'tripId' } = {}) => async (req, res, next) => {
+  try {
+    const tripId = req.params[param] ?? req.body?.[param];
+
+    if (!tripId) {
+      return res.status(400).json({ error: 'Trip ID is required' });
+    }
+
+    const trip = await prisma.plannedTrip.findUnique({
+      where: { id: tripId },
+      include: { collaborators: true }
+    });
+
+    const role = getTripRole(trip, req.userId);
+
+    // Don't reveal whether a trip exists to users with no access at all
+    if (!role) {
+      return res.status(404).json({ error: 'Trip not found or access denied' });
+    }
+
+    if (!hasTripRole(role, minRole)) {
+      return res.status(403).json({ error: `This action requires ${minRole} access to the trip` });
+    }
+
+    req.trip = trip;
+    req.tripRole = role;
+    next();
+  } catch (error) {
+    console.error('Trip access error:', error);
+    res.status(500).json({ error: 'Failed to check trip access' });
+  }
+};
@@ -1,11 +1,30 @@
 import express from 'express';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 import prisma from '../lib/prisma.js';
+import {
+  createSession,
+  rotateSession,
+  revokeSessionByRefreshToken,
+  SessionError
+} from '../lib/sessions.js';
+import { createUserToken, consumeUserToken, TOKEN_TYPES } from '../lib/userTokens.js';
+import { sendMail, frontendUrl } from '../lib/mailer.js';
 import { authenticateToken } from '../middleware/auth.js';
 
 const router = express.Router();
 
+// Helper: Email a verification link to a user
+async function sendVerificationEmail(user) {
+  const token = await createUserToken(user.id, TOKEN_TYPES.EMAIL_VERIFICATION);
+  const link = frontendUrl(`/verify-email?token=${token}`);
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your WanderGenius email',
+    text: `Hi ${user.name || 'traveler'},\n\nPlease confirm your email address by opening this link:\n${link}\n\nThe link expires in 24 hours.`
+  });
+}
+
 // Register new user
 router.post('/register', async (req, res) => {
   try {
@@ -35,18 +54,20 @@ router.post('/register', async (req, res) => {
         id: true,
         email: true,
         name: true,
+        emailVerifiedAt: true,
         createdAt: true
       }
     });
 
-    // Generate token
-    const token = jwt.sign(
-      { userId: user.id },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // Start a session and issue tokens
+    const { token, refreshToken } = await createSession(user.id, req);
+
+    // Mail delivery problems shouldn't block registration - the user can resend
+    sendVerificationEmail(user).catch(err => {
+      console.error('Send verification email error:', err);
+    });
 
-    res.status(201).json({ user, token });
+    res.status(201).json({ user, token, refreshToken });
   } catch (error) {
     console.error('Registration error:', error);
     res.status(500).json({ error: 'Failed to register user' });
@@ -74,21 +95,19 @@ router.post('/login', async (req, res) => {
       return res.status(401).json({ error: 'Invalid email or password' });
     }
 
-    // Generate token
-    const token = jwt.sign(
-      { userId: user.id },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // Start a session and issue tokens
+    const { token, refreshToken } = await createSession(user.id, req);
 
     res.json({
       user: {
         id: user.id,
         email: user.email,
         name: user.name,
+        emailVerifiedAt: user.emailVerifiedAt,
         createdAt: user.createdAt
       },
-      token
+      token,
+      refreshToken
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -96,6 +115,234 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// Exchange a refresh token for a new access/refresh token pair
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token is required' });
+    }
+
+    const { token, refreshToken: nextRefreshToken } = await rotateSession(refreshToken);
+
+    res.json({ token, refreshToken: nextRefreshToken });
+  } catch (error) {
+    if (error instanceof SessionError) {
+      return res.status(401).json({ error: error.message });
+    }
+    console.error('Refresh token error:', error);
+    res.status(500).json({ error: 'Failed to refresh token' });
+  }
+});
+
+// Logout - revokes the session the refresh token belongs to
+router.post('/logout', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token is required' });
+    }
+
+    await revokeSessionByRefreshToken(refreshToken);
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Failed to logout' });
+  }
+});
+
+// List active sessions (devices) for the current user
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await prisma.session.findMany({
+      where: {
+        userId: req.userId,
+        revokedAt: null,
+        expiresAt: { gt: new Date() }
+      },
+      orderBy: { lastUsedAt: 'desc' },
+      select: {
+        id: true,
+        userAgent: true,
+        ipAddress: true,
+        createdAt: true,
+        lastUsedAt: true,
+        expiresAt: true
+      }
+    });
+
+    res.json(sessions.map(s => ({
+      ...s,
+      isCurrent: s.id === req.sessionId
+    })));
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ error: 'Failed to get sessions' });
+  }
+});
+
+// Revoke all sessions except the current one
+router.delete('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const { count } = await prisma.session.updateMany({
+      where: {
+        userId: req.userId,
+        revokedAt: null,
+        id: { not: req.sessionId }
+      },
+      data: { revokedAt: new Date() }
+    });
+
+    res.json({ message: 'Other sessions revoked', revoked: count });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({ error: 'Failed to revoke sessions' });
+  }
+});
+
+// Revoke a single session
+router.delete('/sessions/:sessionId', authenticateToken, async (req, res) => {
+  try {
+    const { count } = await prisma.session.updateMany({
+      where: {
+        id: req.params.sessionId,
+        userId: req.userId,
+        revokedAt: null
+      },
+      data: { revokedAt: new Date() }
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
+});
+
+// Request a password reset link
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+
+    const user = await prisma.user.findUnique({ where: { email } });
+
+    // Only send mail for known accounts, but always respond the same way - a mail failure
+    // mustn't reveal that the account exists
+    if (user) {
+      const token = await createUserToken(user.id, TOKEN_TYPES.PASSWORD_RESET);
+      const link = frontendUrl(`/reset-password?token=${token}`);
+
+      sendMail({
+        to: user.email,
+        subject: 'Reset your WanderGenius password',
+        text: `Hi ${user.name || 'traveler'},\n\nWe received a request to reset your password. Open this link to choose a new one:\n${link}\n\nThe link expires in 1 hour. If you didn't request this, you can ignore this email.`
+      }).catch(err => {
+        console.error('Send password reset email error:', err);
+      });
+    }
+
+    res.json({ message: 'If an account exists for that email, a reset link has been sent' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Failed to process password reset request' });
+  }
+});
+
+// Reset password with a token from the reset email
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ error: 'Token and password are required' });
+    }
+
+    const userToken = await consumeUserToken(token, TOKEN_TYPES.PASSWORD_RESET);
+    if (!userToken) {
+      return res.status(400).json({ error: 'Invalid or expired reset token' });
+    }
+
+    const passwordHash = await bcrypt.hash(password, 12);
+
+    // Update password and sign out every existing session
+    await prisma.$transaction([
+      prisma.user.update({
+        where: { id: userToken.userId },
+        data: { passwordHash }
+      }),
+      prisma.session.updateMany({
+        where: { userId: userToken.userId, revokedAt: null },
+        data: { revokedAt: new Date() }
+      })
+    ]);
+
+    res.json({ message: 'Password reset successfully. Please log in again.' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+});
+
+// Verify email with a token from the verification email
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ error: 'Token is required' });
+    }
+
+    const userToken = await consumeUserToken(token, TOKEN_TYPES.EMAIL_VERIFICATION);
+    if (!userToken) {
+      return res.status(400).json({ error: 'Invalid or expired verification token' });
+    }
+
+    const user = await prisma.user.update({
+      where: { id: userToken.userId },
+      data: { emailVerifiedAt: new Date() },
+      select: { id: true, email: true, emailVerifiedAt: true }
+    });
+
+    res.json({ message: 'Email verified successfully', user });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ error: 'Failed to verify email' });
+  }
+});
+
+// Resend the verification email
+router.post('/verify-email/resend', authenticateToken, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.userId } });
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user.emailVerifiedAt) {
+      return res.status(400).json({ error: 'Email is already verified' });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: 'Failed to send verification email' });
+  }
+});
+
 // Get current user
 router.get('/me', authenticateToken, async (req, res) => {
   try {
@@ -105,6 +352,7 @@ router.get('/me', authenticateToken, async (req, res) => {
         id: true,
         email: true,
         name: true,
+        emailVerifiedAt: true,
         createdAt: true,
         profile: true
       }
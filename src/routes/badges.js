@@ -1,6 +1,7 @@
 import express from 'express';
 import prisma from '../lib/prisma.js';
 import { authenticateToken } from '../middleware/auth.js';
+import { notify, NOTIFICATION_TYPES } from '../lib/notifications.js';
 
 const router = express.Router();
 
@@ -77,6 +78,12 @@ router.get('/check', authenticateToken, async (req, res) => {
         ...badge,
         ...BADGES[badgeType]
       });
+      await notify(userId, NOTIFICATION_TYPES.BADGE_EARNED, {
+        title: `You earned the ${BADGES[badgeType].name} badge`,
+        body: BADGES[badgeType].description,
+        link: '/badges',
+        data: { badgeType }
+      });
     }
 
     res.json({
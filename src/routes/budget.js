@@ -1,36 +1,238 @@
 import express from 'express';
+import { Prisma } from '@prisma/client';
 import prisma from '../lib/prisma.js';
 import { authenticateToken } from '../middleware/auth.js';
+import { requireTripRole, getTripRole, hasTripRole } from '../middleware/tripAccess.js';
+import { isSupportedCurrency, getSupportedCurrencies, convertAmount } from '../lib/currency.js';
+import { parseCsv, toCsv } from '../lib/csv.js';
+import { estimateTripCost, suggestBudget, EstimateError } from '../lib/budgetEstimator.js';
+import { publishTripEvent } from '../lib/tripChannel.js';
+import {
+  computeBalances,
+  resolveDebts,
+  computeAnalytics,
+  toBudgetCurrency,
+  round2
+} from '../lib/budgetMath.js';
+import { buildExpenseData, withConvertedAmounts } from '../lib/expenses.js';
 
 const router = express.Router();
 
-// Get budget stats and details for a trip
-router.get('/:tripId', authenticateToken, async (req, res) => {
-  try {
-    const { tripId } = req.params;
+// Helper: Validate a participant's linked user is the trip owner or an accepted collaborator
+function validateParticipantUser(trip, userId) {
+  if (userId && !getTripRole(trip, userId)) {
+    return 'Participants can only be linked to trip members';
+  }
+  return null;
+}
+
+// Helper: Validate { category: amount } allocations. Returns { error } or { allocations }.
+function parseCategoryAllocations(input) {
+  if (input === null) return { allocations: null };
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'categoryAllocations must map categories to amounts' };
+  }
+
+  const allocations = {};
+  for (const [category, value] of Object.entries(input)) {
+    const amount = parseFloat(value);
+    if (!category || isNaN(amount) || amount < 0) {
+      return { error: `Invalid allocation for category "${category}"` };
+    }
+    allocations[category] = amount;
+  }
+  return { allocations };
+}
+
+// Helper: Validate a budget currency code. Returns { error } or { currency } upper-cased.
+function parseBudgetCurrency(input) {
+  const currency = String(input).toUpperCase();
+  if (!isSupportedCurrency(currency)) {
+    return { error: `Unsupported currency: ${input}` };
+  }
+  return { currency };
+}
+
+// Column order for CSV exports; imports accept these headers in any order
+const CSV_COLUMNS = ['date', 'amount', 'currency', 'category', 'description', 'paid_by', 'split_with', 'split_mode', 'split_values'];
+
+// Import header aliases, matched after lowercasing and dropping spaces/underscores
+const IMPORT_HEADERS = {
+  date: 'date',
+  amount: 'amount',
+  currency: 'currency',
+  category: 'category',
+  description: 'description',
+  paidby: 'paidBy',
+  payer: 'paidBy',
+  splitwith: 'splitWith',
+  split: 'splitWith',
+  splitmode: 'splitMode',
+  splitvalues: 'splitValues'
+};
+
+const MAX_IMPORT_ROWS = 1000;
+
+const nameKey = (name) => String(name).trim().toLowerCase();
+
+// Helper: Turn CSV text into import rows keyed like the JSON export. Returns { error } or { rows }.
+function csvToImportRows(text) {
+  const [header, ...records] = parseCsv(text);
+  if (!header) {
+    return { error: 'CSV is empty' };
+  }
 
-    // First check if user owns the trip
-    const plannedTrip = await prisma.plannedTrip.findUnique({
-      where: { id: tripId },
-      include: { budget: true }
+  const fields = header.map(h => IMPORT_HEADERS[h.toLowerCase().replace(/[\s_-]/g, '')]);
+  const missing = ['amount', 'category', 'date', 'paidBy'].filter(f => !fields.includes(f));
+  if (missing.length > 0) {
+    return { error: `CSV is missing required columns: ${missing.join(', ')}` };
+  }
+
+  const rows = records.map((record, index) => {
+    const row = { row: index + 2 }; // header is row 1
+    fields.forEach((field, i) => {
+      if (field && record[i] !== undefined) row[field] = record[i].trim();
     });
+    return row;
+  });
+  return { rows };
+}
+
+// Helper: Read split names from "Alice; Bob" or an array
+const parseSplitNames = (value) => (Array.isArray(value) ? value : String(value || '').split(';'))
+  .map(name => String(name).trim())
+  .filter(Boolean);
+
+// Helper: Read split values from "Alice: 60; Bob: 40" or { Alice: 60, Bob: 40 }.
+// Returns [[name, value]], null when empty, or { error }.
+function parseSplitValues(value) {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    return Object.entries(value);
+  }
+  if (!value) return null;
 
-    if (!plannedTrip) {
-      return res.status(404).json({ error: 'Trip not found' });
+  const entries = [];
+  for (const part of String(value).split(';').map(s => s.trim()).filter(Boolean)) {
+    const separator = part.lastIndexOf(':');
+    if (separator <= 0) {
+      return { error: `Invalid split value "${part}", expected "Name: value"` };
+    }
+    entries.push([part.slice(0, separator).trim(), part.slice(separator + 1).trim()]);
+  }
+  return entries.length > 0 ? entries : null;
+}
+
+// Helper: Validate import rows against the budget, matching payer/split names to participants
+// (case-insensitive). Names that don't match get new participants. Rows without split names are
+// split equally between everyone on the budget after the import.
+// Returns { errors: [{ row, error }], newParticipants: [{ id, name }], expenses } where new
+// participants carry placeholder ids until they are created.
+function planExpenseImport(rows, budget) {
+  const errors = [];
+  const participantsByKey = new Map(budget.participants.map(p => [nameKey(p.name), p]));
+  const newParticipants = [];
+
+  const register = (name) => {
+    const key = nameKey(name);
+    if (!participantsByKey.has(key)) {
+      const participant = { id: `new:${newParticipants.length}`, name: String(name).trim() };
+      participantsByKey.set(key, participant);
+      newParticipants.push(participant);
+    }
+  };
+  const idFor = (name) => participantsByKey.get(nameKey(name)).id;
+
+  // First pass: parse names so every participant is known before splits are resolved
+  const parsed = [];
+  rows.forEach(raw => {
+    const payer = raw.paidBy ? String(raw.paidBy).trim() : '';
+    if (!payer) {
+      errors.push({ row: raw.row, error: 'Payer name is required' });
+      return;
     }
 
-    if (plannedTrip.userId !== req.userId) {
-      return res.status(403).json({ error: 'Not authorized to view this budget' });
+    const splitValues = parseSplitValues(raw.splitValues);
+    if (splitValues?.error) {
+      errors.push({ row: raw.row, error: splitValues.error });
+      return;
     }
 
+    const splitWith = parseSplitNames(raw.splitWith);
+    [payer, ...splitWith, ...(splitValues || []).map(([name]) => name)].forEach(register);
+    parsed.push({ raw, payer, splitWith, splitValues });
+  });
+
+  const allParticipants = [...participantsByKey.values()];
+  const importBudget = { currency: budget.currency, participants: allParticipants };
+
+  // Second pass: validate each expense exactly as the single-expense endpoint does
+  const expenses = [];
+  parsed.forEach(({ raw, payer, splitWith, splitValues }) => {
+    if (!raw.date) {
+      errors.push({ row: raw.row, error: 'Date is required' });
+      return;
+    }
+    if (!raw.category) {
+      errors.push({ row: raw.row, error: 'Category is required' });
+      return;
+    }
+
+    const { error, data } = buildExpenseData({
+      amount: raw.amount,
+      currency: raw.currency,
+      category: String(raw.category),
+      description: raw.description ? String(raw.description) : '',
+      date: raw.date,
+      paidById: idFor(payer),
+      splitMode: raw.splitMode ? String(raw.splitMode).toLowerCase() : 'equal',
+      splitWithIds: splitWith.length > 0 ? splitWith.map(idFor) : allParticipants.map(p => p.id),
+      splitValues: splitValues ? Object.fromEntries(splitValues.map(([name, value]) => [idFor(name), value])) : null
+    }, importBudget);
+
+    if (error) {
+      errors.push({ row: raw.row, error });
+      return;
+    }
+    expenses.push(data);
+  });
+
+  errors.sort((a, b) => a.row - b.row);
+  return { errors, newParticipants, expenses };
+}
+
+// List currencies available for expenses
+router.get('/currencies', authenticateToken, (req, res) => {
+  res.json(getSupportedCurrencies());
+});
+
+// Get budget stats and details for a trip
+router.get('/:tripId', authenticateToken, requireTripRole('viewer'), async (req, res) => {
+  try {
+    const { tripId } = req.params;
+
     // Get stats
     const budget = await prisma.tripBudget.findFirst({
       where: { tripId },
       include: {
-        participants: true,
+        participants: {
+          include: {
+            user: { select: { id: true, name: true, email: true } }
+          }
+        },
         expenses: {
           include: {
-            paidBy: true
+            paidBy: true,
+            createdBy: { select: { id: true, name: true } }
+          },
+          orderBy: {
+            date: 'desc'
+          }
+        },
+        settlements: {
+          include: {
+            from: { select: { id: true, name: true } },
+            to: { select: { id: true, name: true } },
+            createdBy: { select: { id: true, name: true } }
           },
           orderBy: {
             date: 'desc'
@@ -43,104 +245,344 @@ router.get('/:tripId', authenticateToken, async (req, res) => {
       return res.json({ notSetup: true });
     }
 
-    // Calculate debts (simplified algorithm)
-    // 1. Calculate net balance for each participant
-    // positive = paid more than share (owed money)
-    // negative = paid less than share (owes money)
-    const balances = {};
-    budget.participants.forEach(p => {
-      balances[p.id] = { name: p.name, amount: 0 };
-    });
-
-    budget.expenses.forEach(expense => {
-      const payerId = expense.paidById;
-      const amount = expense.amount;
-      const splitBetween = expense.splitWithIds;
-      
-      if (splitBetween.length > 0) {
-        const splitAmount = amount / splitBetween.length;
-        
-        // Payer gets credit for the full amount
-        if (balances[payerId]) {
-          balances[payerId].amount += amount;
-        }
+    // Calculate debts from each participant's weighted share of every expense,
+    // less any repayments already recorded
+    const balances = computeBalances(budget);
+    const debts = resolveDebts(balances);
 
-        // Everyone involved debited their share
-        splitBetween.forEach(id => {
-          if (balances[id]) {
-            balances[id].amount -= splitAmount;
-          }
-        });
+    // Calculate total spent in the budget currency
+    const expenses = budget.expenses.map(e => withConvertedAmounts(e, budget));
+    const totalSpent = round2(expenses.reduce((sum, e) => sum + e.convertedAmount, 0));
+
+    res.json({
+      ...budget,
+      participants: budget.participants.map(p => ({
+        ...p,
+        isMe: p.userId === req.userId
+      })),
+      expenses,
+      settlements: budget.settlements.map(st => ({
+        ...st,
+        currency: st.currency || budget.currency,
+        convertedAmount: round2(toBudgetCurrency(st.amount, st, budget))
+      })),
+      totalSpent,
+      remaining: budget.totalBudget - totalSpent,
+      balances: Object.entries(balances).map(([id, b]) => ({ participantId: id, name: b.name, amount: round2(b.amount) })),
+      debts,
+      isSettled: debts.length === 0,
+      userRole: req.tripRole
+    });
+
+  } catch (error) {
+    console.error('Get budget error:', error);
+    res.status(500).json({ error: 'Failed to fetch budget' });
+  }
+});
+
+// Spend breakdowns, burn rate and end-of-trip forecast
+router.get('/:tripId/analytics', authenticateToken, requireTripRole('viewer'), async (req, res) => {
+  try {
+    const { tripId } = req.params;
+
+    const budget = await prisma.tripBudget.findUnique({
+      where: { tripId },
+      include: { participants: true, expenses: true }
+    });
+
+    if (!budget) {
+      return res.status(404).json({ error: 'Budget not found' });
+    }
+
+    res.json(computeAnalytics(budget, { days: req.trip.days, startDate: req.trip.startDate }));
+  } catch (error) {
+    console.error('Budget analytics error:', error);
+    res.status(500).json({ error: 'Failed to compute budget analytics' });
+  }
+});
+
+// Download all expenses as CSV (spreadsheet friendly) or JSON (full budget snapshot)
+router.get('/:tripId/export', authenticateToken, requireTripRole('viewer'), async (req, res) => {
+  try {
+    const { tripId } = req.params;
+    const format = String(req.query.format || 'csv').toLowerCase();
+
+    if (!['csv', 'json'].includes(format)) {
+      return res.status(400).json({ error: 'format must be csv or json' });
+    }
+
+    const budget = await prisma.tripBudget.findUnique({
+      where: { tripId },
+      include: {
+        participants: true,
+        expenses: { orderBy: { date: 'asc' } },
+        settlements: { orderBy: { date: 'asc' } }
       }
     });
 
-    // 2. Resolve debts
-    const debts = [];
-    const debtors = [];
-    const creditors = [];
+    if (!budget) {
+      return res.status(404).json({ error: 'Budget not found' });
+    }
+
+    const names = new Map(budget.participants.map(p => [p.id, p.name]));
+    const expenses = budget.expenses.map(e => ({
+      date: e.date.toISOString(),
+      amount: e.amount,
+      currency: e.currency || budget.currency,
+      category: e.category,
+      description: e.description,
+      paidBy: names.get(e.paidById),
+      splitWith: e.splitWithIds.map(id => names.get(id)).filter(Boolean),
+      splitMode: e.splitMode,
+      splitValues: e.splitValues
+        ? Object.fromEntries(Object.entries(e.splitValues).map(([id, value]) => [names.get(id), value]))
+        : null
+    }));
+
+    if (format === 'json') {
+      res.attachment(`budget-${tripId}.json`);
+      return res.json({
+        exportedAt: new Date().toISOString(),
+        totalBudget: budget.totalBudget,
+        currency: budget.currency,
+        categoryAllocations: budget.categoryAllocations,
+        participants: budget.participants.map(p => ({ name: p.name, userId: p.userId })),
+        expenses,
+        settlements: budget.settlements.map(st => ({
+          date: st.date.toISOString(),
+          amount: st.amount,
+          currency: st.currency || budget.currency,
+          from: names.get(st.fromId),
+          to: names.get(st.toId),
+          note: st.note
+        }))
+      });
+    }
+
+    const csv = toCsv([
+      CSV_COLUMNS,
+      ...expenses.map(e => [
+        e.date.split('T')[0],
+        e.amount,
+        e.currency,
+        e.category,
+        e.description,
+        e.paidBy,
+        e.splitWith.join('; '),
+        e.splitMode,
+        e.splitValues ? Object.entries(e.splitValues).map(([name, value]) => `${name}: ${value}`).join('; ') : ''
+      ])
+    ]);
+
+    res.attachment(`budget-${tripId}.csv`);
+    res.type('text/csv').send(csv);
+  } catch (error) {
+    console.error('Export budget error:', error);
+    res.status(500).json({ error: 'Failed to export budget' });
+  }
+});
+
+// Bulk-add expenses from a CSV (text/csv body or { csv }) or a JSON export ({ expenses }).
+// Nothing is imported unless every row is valid; ?dryRun=true only validates.
+const importText = express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' });
+
+router.post('/:tripId/import', authenticateToken, importText, requireTripRole('editor'), async (req, res) => {
+  try {
+    const { tripId } = req.params;
+    const dryRun = req.query.dryRun === 'true';
+
+    let rows;
+    const csvText = typeof req.body === 'string' ? req.body : req.body?.csv;
+    if (typeof csvText === 'string') {
+      const parsed = csvToImportRows(csvText);
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+      rows = parsed.rows;
+    } else if (Array.isArray(req.body?.expenses)) {
+      rows = req.body.expenses.map((expense, index) => ({ ...expense, row: index + 1 }));
+    } else {
+      return res.status(400).json({ error: 'Send CSV text (text/csv body or { csv }) or { expenses: [...] }' });
+    }
 
-    Object.entries(balances).forEach(([id, data]) => {
-      // Small threshold for floating point errors
-      if (data.amount < -0.01) debtors.push({ id, name: data.name, amount: data.amount });
-      if (data.amount > 0.01) creditors.push({ id, name: data.name, amount: data.amount });
+    if (rows.length === 0) {
+      return res.status(400).json({ error: 'No expenses to import' });
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ error: `Imports are limited to ${MAX_IMPORT_ROWS} expenses` });
+    }
+
+    const budget = await prisma.tripBudget.findUnique({
+      where: { tripId },
+      include: { participants: true }
     });
 
-    debtors.sort((a, b) => a.amount - b.amount); // Ascending (most negative first)
-    creditors.sort((a, b) => b.amount - a.amount); // Descending (most positive first)
+    if (!budget) {
+      return res.status(404).json({ error: 'Budget not found' });
+    }
+
+    const { errors, newParticipants, expenses } = planExpenseImport(rows, budget);
+
+    if (dryRun) {
+      return res.json({
+        dryRun: true,
+        valid: errors.length === 0,
+        expenseCount: expenses.length,
+        newParticipants: newParticipants.map(p => p.name),
+        errors
+      });
+    }
 
-    let i = 0; // debtor index
-    let j = 0; // creditor index
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Some rows are invalid, nothing was imported', errors });
+    }
 
-    while (i < debtors.length && j < creditors.length) {
-      const debtor = debtors[i];
-      const creditor = creditors[j];
-      
-      const amount = Math.min(Math.abs(debtor.amount), creditor.amount);
-      
-      if (amount > 0.01) {
-        debts.push({
-          from: debtor.name,
-          to: creditor.name,
-          amount: Number(amount.toFixed(2))
+    const created = await prisma.$transaction(async (tx) => {
+      // Swap placeholder ids for the real participant ids
+      const ids = {};
+      const participants = [];
+      for (const participant of newParticipants) {
+        const row = await tx.tripParticipant.create({
+          data: { budgetId: budget.id, name: participant.name }
         });
+        ids[participant.id] = row.id;
+        participants.push(row);
       }
+      const realId = (id) => ids[id] || id;
+
+      const { count } = await tx.expense.createMany({
+        data: expenses.map(e => ({
+          ...e,
+          budgetId: budget.id,
+          createdById: req.userId,
+          paidById: realId(e.paidById),
+          splitWithIds: e.splitWithIds.map(realId),
+          splitValues: e.splitValues === Prisma.DbNull
+            ? e.splitValues
+            : Object.fromEntries(Object.entries(e.splitValues).map(([id, value]) => [realId(id), value]))
+        }))
+      });
+
+      return { count, participants };
+    });
 
-      debtor.amount += amount;
-      creditor.amount -= amount;
+    publishTripEvent(tripId, 'expenses.imported', {
+      imported: created.count,
+      createdParticipants: created.participants
+    }, { actorId: req.userId });
 
-      if (Math.abs(debtor.amount) < 0.01) i++;
-      if (creditor.amount < 0.01) j++;
+    res.status(201).json({
+      imported: created.count,
+      createdParticipants: created.participants,
+      errors: []
+    });
+  } catch (error) {
+    console.error('Import expenses error:', error);
+    res.status(500).json({ error: 'Failed to import expenses' });
+  }
+});
+
+// Estimate trip costs from the itinerary with Gemini. With apply: true (owner only) the
+// existing budget's total and category allocations are replaced by the suggestion.
+router.post('/:tripId/estimate', authenticateToken, requireTripRole('editor'), async (req, res) => {
+  try {
+    const { tripId } = req.params;
+    const { travelStyle, currency, basis = 'mid', apply = false } = req.body;
+
+    if (!['low', 'mid', 'high'].includes(basis)) {
+      return res.status(400).json({ error: 'basis must be low, mid or high' });
+    }
+
+    if (apply && !hasTripRole(req.tripRole, 'owner')) {
+      return res.status(403).json({ error: 'Only the trip owner can change the budget total' });
     }
 
-    // Calculate total spent
-    const totalSpent = budget.expenses.reduce((sum, e) => sum + e.amount, 0);
+    const budget = await prisma.tripBudget.findUnique({ where: { tripId } });
 
-    res.json({
-      ...budget,
-      totalSpent,
-      remaining: budget.totalBudget - totalSpent,
-      debts
+    if (apply && !budget) {
+      return res.status(404).json({ error: 'Set up the budget before applying an estimate' });
+    }
+
+    const estimateCurrency = String(currency || budget?.currency || 'USD').toUpperCase();
+    if (!isSupportedCurrency(estimateCurrency)) {
+      return res.status(400).json({ error: `Unsupported currency: ${estimateCurrency}` });
+    }
+    if (apply && estimateCurrency !== budget.currency) {
+      return res.status(400).json({ error: `Estimates applied to the budget must be in ${budget.currency}` });
+    }
+
+    // Default to the requesting user's travel style
+    let style = travelStyle;
+    if (!style) {
+      const profile = await prisma.userProfile.findUnique({ where: { userId: req.userId } });
+      style = profile?.travelStyle;
+    }
+
+    const estimate = await estimateTripCost({
+      trip: req.trip,
+      travelStyle: style,
+      currency: estimateCurrency
     });
+    const suggestedBudget = suggestBudget(estimate, basis);
 
+    let updatedBudget = null;
+    if (apply) {
+      updatedBudget = await prisma.tripBudget.update({
+        where: { tripId },
+        data: {
+          totalBudget: suggestedBudget.totalBudget,
+          categoryAllocations: suggestedBudget.categoryAllocations
+        }
+      });
+    }
+
+    res.json({
+      travelStyle: style || null,
+      estimate,
+      suggestedBudget,
+      applied: !!apply,
+      budget: updatedBudget
+    });
   } catch (error) {
-    console.error('Get budget error:', error);
-    res.status(500).json({ error: 'Failed to fetch budget' });
+    if (error instanceof EstimateError) {
+      return res.status(502).json({ error: error.message });
+    }
+    console.error('Budget estimate error:', error);
+    res.status(500).json({ error: 'Failed to estimate trip costs' });
   }
 });
 
 // Setup budget for a trip
-router.post('/:tripId/setup', authenticateToken, async (req, res) => {
+router.post('/:tripId/setup', authenticateToken, requireTripRole('owner'), async (req, res) => {
   try {
     const { tripId } = req.params;
-    const { totalBudget, currency, participants } = req.body;
+    const { totalBudget, currency, participants = [], categoryAllocations } = req.body;
 
-    // Verify ownership
-    const trip = await prisma.plannedTrip.findUnique({
-      where: { id: tripId }
-    });
+    const { error: currencyError, currency: budgetCurrency } = parseBudgetCurrency(currency || 'USD');
+    if (currencyError) {
+      return res.status(400).json({ error: currencyError });
+    }
+
+    const { error: allocationError, allocations } = parseCategoryAllocations(categoryAllocations ?? null);
+    if (allocationError) {
+      return res.status(400).json({ error: allocationError });
+    }
+
+    // Participants may be plain names or { name, userId } to link a trip member
+    const extraParticipants = (Array.isArray(participants) ? participants : [])
+      .map(p => (typeof p === 'string' ? { name: p, userId: null } : { name: p?.name, userId: p?.userId || null }))
+      .filter(p => p.name && p.name !== 'Me' && p.userId !== req.userId);
 
-    if (!trip || trip.userId !== req.userId) {
-      return res.status(403).json({ error: 'Not authorized' });
+    for (const participant of extraParticipants) {
+      const userError = validateParticipantUser(req.trip, participant.userId);
+      if (userError) {
+        return res.status(400).json({ error: userError });
+      }
+    }
+
+    const existing = await prisma.tripBudget.findUnique({ where: { tripId } });
+    if (existing) {
+      return res.status(409).json({ error: 'Budget already set up for this trip' });
     }
 
     // Create budget and participants transactionally
@@ -149,19 +591,21 @@ router.post('/:tripId/setup', authenticateToken, async (req, res) => {
         data: {
           tripId,
           totalBudget: parseFloat(totalBudget),
-          currency: currency || 'USD'
+          currency: budgetCurrency,
+          categoryAllocations: allocations ?? Prisma.DbNull
         }
       });
 
-      // Add participants (always include "Me")
-      const names = [...new Set(['Me', ...participants])];
-      
-      await tx.tripParticipant.createMany({
-        data: names.map(name => ({
-          budgetId: budget.id,
-          name
-        }))
-      });
+      // Add participants (always include "Me", linked to the owner)
+      const seen = new Set(['Me']);
+      const rows = [{ budgetId: budget.id, name: 'Me', userId: req.userId }];
+      for (const participant of extraParticipants) {
+        if (seen.has(participant.name)) continue;
+        seen.add(participant.name);
+        rows.push({ budgetId: budget.id, ...participant });
+      }
+
+      await tx.tripParticipant.createMany({ data: rows });
 
       return budget;
     });
@@ -173,11 +617,163 @@ router.post('/:tripId/setup', authenticateToken, async (req, res) => {
   }
 });
 
+// Update budget total, currency or category allocations (owner only).
+// Changing the currency converts the total and allocations that aren't sent with it, and
+// pins expenses and settlements recorded in the old budget currency to it.
+router.patch('/:tripId', authenticateToken, requireTripRole('owner'), async (req, res) => {
+  try {
+    const { tripId } = req.params;
+    const { totalBudget, currency, categoryAllocations } = req.body;
+
+    const updateData = {};
+    if (totalBudget !== undefined) {
+      const parsed = parseFloat(totalBudget);
+      if (isNaN(parsed) || parsed < 0) {
+        return res.status(400).json({ error: 'totalBudget must be a non-negative number' });
+      }
+      updateData.totalBudget = parsed;
+    }
+    if (currency !== undefined) {
+      const { error, currency: budgetCurrency } = parseBudgetCurrency(currency);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      updateData.currency = budgetCurrency;
+    }
+    if (categoryAllocations !== undefined) {
+      const { error, allocations } = parseCategoryAllocations(categoryAllocations);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      updateData.categoryAllocations = allocations ?? Prisma.DbNull;
+    }
+
+    const existing = await prisma.tripBudget.findUnique({ where: { tripId } });
+    if (!existing) {
+      return res.status(404).json({ error: 'Budget not found' });
+    }
+
+    const oldCurrency = existing.currency;
+    const currencyChanged = updateData.currency && updateData.currency !== oldCurrency;
+
+    // Amounts stay in the old currency if it has no rate (e.g. a budget saved before currencies were checked)
+    if (currencyChanged && isSupportedCurrency(oldCurrency)) {
+      const convert = (amount) => round2(convertAmount(amount, oldCurrency, updateData.currency));
+      if (updateData.totalBudget === undefined) {
+        updateData.totalBudget = convert(existing.totalBudget);
+      }
+      if (categoryAllocations === undefined && existing.categoryAllocations) {
+        updateData.categoryAllocations = Object.fromEntries(
+          Object.entries(existing.categoryAllocations).map(([category, amount]) => [category, convert(amount)])
+        );
+      }
+    }
+
+    const budget = await prisma.$transaction(async (tx) => {
+      // Records without a currency use the budget's, so keep them in the one they were entered in
+      if (currencyChanged) {
+        await tx.expense.updateMany({
+          where: { budgetId: existing.id, currency: null },
+          data: { currency: oldCurrency }
+        });
+        await tx.settlement.updateMany({
+          where: { budgetId: existing.id, currency: null },
+          data: { currency: oldCurrency }
+        });
+      }
+
+      return tx.tripBudget.update({
+        where: { id: existing.id },
+        data: updateData
+      });
+    });
+
+    res.json(budget);
+  } catch (error) {
+    console.error('Update budget error:', error);
+    res.status(500).json({ error: 'Failed to update budget' });
+  }
+});
+
+// Add a participant, optionally linked to a trip member
+router.post('/:tripId/participants', authenticateToken, requireTripRole('editor'), async (req, res) => {
+  try {
+    const { tripId } = req.params;
+    const { name, userId } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ error: 'Name is required' });
+    }
+
+    const userError = validateParticipantUser(req.trip, userId);
+    if (userError) {
+      return res.status(400).json({ error: userError });
+    }
+
+    const budget = await prisma.tripBudget.findUnique({
+      where: { tripId },
+      include: { participants: true }
+    });
+
+    if (!budget) {
+      return res.status(404).json({ error: 'Budget not found' });
+    }
+
+    if (budget.participants.some(p => p.name === name || (userId && p.userId === userId))) {
+      return res.status(409).json({ error: 'Participant already exists' });
+    }
+
+    const participant = await prisma.tripParticipant.create({
+      data: { budgetId: budget.id, name, userId: userId || null }
+    });
+
+    res.status(201).json(participant);
+  } catch (error) {
+    console.error('Add participant error:', error);
+    res.status(500).json({ error: 'Failed to add participant' });
+  }
+});
+
+// Link (or unlink with userId: null) a participant to a trip member
+router.patch('/:tripId/participants/:participantId', authenticateToken, requireTripRole('editor'), async (req, res) => {
+  try {
+    const { tripId, participantId } = req.params;
+    const { userId = null } = req.body;
+
+    const userError = validateParticipantUser(req.trip, userId);
+    if (userError) {
+      return res.status(400).json({ error: userError });
+    }
+
+    const participant = await prisma.tripParticipant.findFirst({
+      where: { id: participantId, budget: { tripId } },
+      include: { budget: { include: { participants: true } } }
+    });
+
+    if (!participant) {
+      return res.status(404).json({ error: 'Participant not found' });
+    }
+
+    if (userId && participant.budget.participants.some(p => p.userId === userId && p.id !== participantId)) {
+      return res.status(409).json({ error: 'That user is already linked to another participant' });
+    }
+
+    const updated = await prisma.tripParticipant.update({
+      where: { id: participantId },
+      data: { userId }
+    });
+
+    res.json(updated);
+  } catch (error) {
+    console.error('Link participant error:', error);
+    res.status(500).json({ error: 'Failed to update participant' });
+  }
+});
+
 // Add expense
-router.post('/:tripId/expense', authenticateToken, async (req, res) => {
+router.post('/:tripId/expense', authenticateToken, requireTripRole('editor'), async (req, res) => {
   try {
     const { tripId } = req.params;
-    const { amount, category, description, paidById, splitWithIds } = req.body;
 
     // Get budget id
     const budget = await prisma.tripBudget.findFirst({
@@ -189,37 +785,103 @@ router.post('/:tripId/expense', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Budget not found' });
     }
 
+    const { error, data } = buildExpenseData(req.body, budget);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
     const expense = await prisma.expense.create({
       data: {
+        ...data,
         budgetId: budget.id,
-        amount: parseFloat(amount),
-        category,
-        description,
-        paidById,
-        splitWithIds, // Array of participant IDs
-        date: new Date()
+        createdById: req.userId
       },
       include: {
-        paidBy: true
+        paidBy: true,
+        createdBy: { select: { id: true, name: true } }
       }
     });
 
-    res.json(expense);
+    const result = withConvertedAmounts(expense, budget);
+    publishTripEvent(tripId, 'expense.added', result, { actorId: req.userId });
+
+    res.json(result);
   } catch (error) {
     console.error('Add expense error:', error);
     res.status(500).json({ error: 'Failed to add expense' });
   }
 });
 
+// Edit expense
+router.patch('/:tripId/expense/:expenseId', authenticateToken, requireTripRole('editor'), async (req, res) => {
+  try {
+    const { tripId, expenseId } = req.params;
+
+    const existing = await prisma.expense.findFirst({
+      where: { id: expenseId, budget: { tripId } },
+      include: { budget: { include: { participants: true } } }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Expense not found' });
+    }
+
+    const { budget, ...current } = existing;
+    const editable = [
+      'amount', 'currency', 'category', 'description', 'date',
+      'paidById', 'splitMode', 'splitWithIds', 'splitValues'
+    ];
+
+    const input = { ...current };
+    editable.forEach(field => {
+      if (req.body[field] !== undefined) input[field] = req.body[field];
+    });
+
+    // Switching to an equal split drops any previous weights
+    if (req.body.splitMode === 'equal' && req.body.splitValues === undefined) {
+      input.splitValues = null;
+    }
+
+    const { error, data } = buildExpenseData(input, budget);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const expense = await prisma.expense.update({
+      where: { id: expenseId },
+      data,
+      include: {
+        paidBy: true,
+        createdBy: { select: { id: true, name: true } }
+      }
+    });
+
+    const result = withConvertedAmounts(expense, budget);
+    publishTripEvent(tripId, 'expense.updated', result, { actorId: req.userId });
+
+    res.json(result);
+  } catch (error) {
+    console.error('Edit expense error:', error);
+    res.status(500).json({ error: 'Failed to edit expense' });
+  }
+});
+
 // Delete expense
-router.delete('/:tripId/expense/:expenseId', authenticateToken, async (req, res) => {
+router.delete('/:tripId/expense/:expenseId', authenticateToken, requireTripRole('editor'), async (req, res) => {
   try {
-    const { expenseId } = req.params;
-    
-    await prisma.expense.delete({
-      where: { id: expenseId }
+    const { tripId, expenseId } = req.params;
+
+    // Only delete expenses that belong to this trip's budget
+    const { count } = await prisma.expense.deleteMany({
+      where: { id: expenseId, budget: { tripId } }
     });
 
+    if (count === 0) {
+      return res.status(404).json({ error: 'Expense not found' });
+    }
+
+    publishTripEvent(tripId, 'expense.deleted', { id: expenseId }, { actorId: req.userId });
+
     res.json({ success: true });
   } catch (error) {
     console.error('Delete expense error:', error);
@@ -227,4 +889,86 @@ router.delete('/:tripId/expense/:expenseId', authenticateToken, async (req, res)
   }
 });
 
+// Record a full or partial repayment between two participants
+router.post('/:tripId/settlements', authenticateToken, requireTripRole('editor'), async (req, res) => {
+  try {
+    const { tripId } = req.params;
+    const { fromId, toId, amount, currency, note, date } = req.body;
+
+    const budget = await prisma.tripBudget.findUnique({
+      where: { tripId },
+      include: { participants: true }
+    });
+
+    if (!budget) {
+      return res.status(404).json({ error: 'Budget not found' });
+    }
+
+    const participantIds = new Set(budget.participants.map(p => p.id));
+    if (!participantIds.has(fromId) || !participantIds.has(toId)) {
+      return res.status(400).json({ error: 'fromId and toId must be participants of this budget' });
+    }
+    if (fromId === toId) {
+      return res.status(400).json({ error: 'A participant cannot settle with themselves' });
+    }
+
+    const parsedAmount = parseFloat(amount);
+    if (isNaN(parsedAmount) || parsedAmount <= 0) {
+      return res.status(400).json({ error: 'Amount must be a positive number' });
+    }
+
+    const settlementCurrency = currency ? String(currency).toUpperCase() : budget.currency;
+    if (!isSupportedCurrency(settlementCurrency)) {
+      return res.status(400).json({ error: `Unsupported currency: ${settlementCurrency}` });
+    }
+
+    const settlementDate = date ? new Date(date) : new Date();
+    if (isNaN(settlementDate.getTime())) {
+      return res.status(400).json({ error: 'Invalid date' });
+    }
+
+    const settlement = await prisma.settlement.create({
+      data: {
+        budgetId: budget.id,
+        fromId,
+        toId,
+        amount: parsedAmount,
+        currency: settlementCurrency,
+        note: note || null,
+        date: settlementDate,
+        createdById: req.userId
+      },
+      include: {
+        from: { select: { id: true, name: true } },
+        to: { select: { id: true, name: true } }
+      }
+    });
+
+    res.status(201).json(settlement);
+  } catch (error) {
+    console.error('Record settlement error:', error);
+    res.status(500).json({ error: 'Failed to record settlement' });
+  }
+});
+
+// Delete a settlement recorded by mistake
+router.delete('/:tripId/settlements/:settlementId', authenticateToken, requireTripRole('editor'), async (req, res) => {
+  try {
+    const { tripId, settlementId } = req.params;
+
+    const { count } = await prisma.settlement.deleteMany({
+      where: { id: settlementId, budget: { tripId } }
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ error: 'Settlement not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete settlement error:', error);
+    res.status(500).json({ error: 'Failed to delete settlement' });
+  }
+});
+
 export default router;
@@ -1,68 +1,69 @@
 import express from 'express';
-import { GoogleGenAI } from '@google/genai';
 import prisma from '../lib/prisma.js';
 import { authenticateToken } from '../middleware/auth.js';
+import { getTripRole, hasTripRole } from '../middleware/tripAccess.js';
+import { generate, generateStream, parseJson, AI_FEATURES } from '../lib/ai.js';
+import { openEventStream, sendEvent } from '../lib/sse.js';
+import { chatInstruction, describeTrip, TRIP_CONTEXT_INCLUDE } from '../lib/chatContext.js';
+import { chatWithTools, toolInstruction, applyAction, isActionExpired, ACTION_TTL_MS, ChatToolError } from '../lib/chatTools.js';
+import { PlanConflictError } from '../lib/revisions.js';
 
 const router = express.Router();
-const MODEL_NAME = 'gemini-2.5-flash';
 
-// Send a chat message and get AI response
+const ACTION_STATUSES = ['pending', 'applied', 'rejected', 'failed'];
+
+// Helper: System instruction with the user's profile and the trip being discussed
+async function systemInstructionFor(userId, context, extra = {}) {
+  // Get user profile for personalization
+  const profile = await prisma.userProfile.findUnique({
+    where: { userId }
+  });
+
+  return chatInstruction(profile, { context, ...extra });
+}
+
+// Send a chat message and get AI response. With a `tripId` the assistant sees the trip and
+// can use tools: it looks up weather and places itself, and proposes changes (new activity,
+// checklist item, expense) as `actions` the user confirms with POST /actions/:id/confirm.
 router.post('/', authenticateToken, async (req, res) => {
   try {
-    const { message, context } = req.body;
+    const { message, context, tripId } = req.body;
 
     if (!message) {
       return res.status(400).json({ error: 'Message is required' });
     }
 
-    // Get user profile for personalization
-    const profile = await prisma.userProfile.findUnique({
-      where: { userId: req.userId }
+    let trip = null;
+    let role = null;
+    if (tripId) {
+      trip = await prisma.plannedTrip.findUnique({
+        where: { id: tripId },
+        include: TRIP_CONTEXT_INCLUDE
+      });
+      role = getTripRole(trip, req.userId);
+      if (!role) {
+        return res.status(404).json({ error: 'Trip not found or access denied' });
+      }
+    }
+
+    // Only editors and owners are offered the tools that change the trip
+    const canEdit = hasTripRole(role, 'editor');
+    const systemInstruction = await systemInstructionFor(req.userId, context, {
+      tripContext: trip ? await describeTrip(trip, role) : null,
+      toolNotes: toolInstruction({ trip, canEdit })
     });
 
-    const ai = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY });
-
-    const systemInstruction = `
-      You are WanderGenius AI, a friendly and knowledgeable travel companion assistant.
-      
-      YOUR ROLE:
-      - Answer travel-related questions helpfully and concisely
-      - Provide practical tips, recommendations, and insights
-      - Be conversational and engaging
-      - Keep responses focused and under 200 words unless more detail is needed
-      
-      USER PROFILE:
-      ${profile ? `
-      - Interests: ${profile.interests?.join(', ') || 'Not specified'}
-      - Hobbies: ${profile.hobbies?.join(', ') || 'Not specified'}
-      - Travel Style: ${profile.travelStyle || 'Not specified'}
-      - Constraints: ${profile.constraints || 'None'}
-      ` : 'No profile available'}
-      
-      ${context?.destination ? `CURRENT DESTINATION: ${context.destination}` : ''}
-      ${context?.tripDays ? `TRIP LENGTH: ${context.tripDays} days` : ''}
-      
-      GUIDELINES:
-      1. Be helpful and specific with recommendations
-      2. Consider the user's profile when giving advice
-      3. For packing questions, consider weather and activities
-      4. For timing questions, mention seasonal factors
-      5. For budget questions, give ranges (budget/mid-range/luxury)
-      6. Use emoji sparingly for friendliness ✈️
-    `;
-
-    const response = await ai.models.generateContent({
-      model: MODEL_NAME,
+    const { reply, actions } = await chatWithTools({
       contents: message,
-      config: {
-        systemInstruction: systemInstruction,
-      },
+      systemInstruction,
+      trip,
+      canEdit,
+      userId: req.userId
     });
 
-    const reply = response.text || "I'm sorry, I couldn't generate a response. Please try again.";
-
     res.json({
-      reply,
+      reply: reply || "I'm sorry, I couldn't generate a response. Please try again.",
+      actions,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -71,6 +72,160 @@ router.post('/', authenticateToken, async (req, res) => {
   }
 });
 
+// Stream the AI response as Server-Sent Events: "token" events with each piece of text as
+// it arrives, then "done" with the full reply (the same body as POST /), or "error"
+router.post('/stream', authenticateToken, async (req, res) => {
+  // Stop generating if the client goes away
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
+
+  try {
+    const { message, context } = req.body;
+
+    if (!message) {
+      return res.status(400).json({ error: 'Message is required' });
+    }
+
+    const systemInstruction = await systemInstructionFor(req.userId, context);
+    openEventStream(res);
+
+    let reply = '';
+    for await (const text of generateStream(AI_FEATURES.CHAT, {
+      contents: message,
+      config: { systemInstruction },
+      cache: false,
+      signal: controller.signal
+    })) {
+      reply += text;
+      sendEvent(res, 'token', { text });
+    }
+
+    sendEvent(res, 'done', {
+      reply: reply || "I'm sorry, I couldn't generate a response. Please try again.",
+      timestamp: new Date().toISOString()
+    });
+    res.end();
+  } catch (error) {
+    if (controller.signal.aborted) return;
+    console.error('Stream chat error:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({ error: error.message || 'Failed to get response' });
+    }
+    sendEvent(res, 'error', { error: error.message || 'Failed to get response' });
+    res.end();
+  }
+});
+
+// List the actions the assistant proposed to the user, newest first. Defaults to the
+// pending ones that can still be confirmed; ?status= and ?tripId= filter.
+router.get('/actions', authenticateToken, async (req, res) => {
+  try {
+    const { tripId, status = 'pending' } = req.query;
+
+    if (!ACTION_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${ACTION_STATUSES.join(', ')}` });
+    }
+
+    const actions = await prisma.assistantAction.findMany({
+      where: {
+        userId: req.userId,
+        status,
+        ...(tripId && { tripId }),
+        ...(status === 'pending' && { createdAt: { gt: new Date(Date.now() - ACTION_TTL_MS) } })
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json({ actions });
+  } catch (error) {
+    console.error('Get assistant actions error:', error);
+    res.status(500).json({ error: 'Failed to get actions' });
+  }
+});
+
+// Confirm a proposed action and apply it to the trip. The user must still be an editor or
+// owner of the trip; the change is made in their name.
+router.post('/actions/:id/confirm', authenticateToken, async (req, res) => {
+  try {
+    const action = await prisma.assistantAction.findFirst({
+      where: { id: req.params.id, userId: req.userId }
+    });
+
+    if (!action) {
+      return res.status(404).json({ error: 'Action not found' });
+    }
+
+    if (action.status !== 'pending') {
+      return res.status(409).json({ error: `This action was already ${action.status}` });
+    }
+
+    if (isActionExpired(action)) {
+      return res.status(410).json({ error: 'This action has expired. Ask the assistant again.' });
+    }
+
+    // Access is checked again: the user may have lost edit rights since it was proposed
+    const trip = await prisma.plannedTrip.findUnique({
+      where: { id: action.tripId },
+      include: { collaborators: true }
+    });
+    if (!hasTripRole(getTripRole(trip, req.userId), 'editor')) {
+      return res.status(403).json({ error: 'You need edit access to this trip' });
+    }
+
+    // Claim the action first so a double submit can't apply it twice
+    const { count } = await prisma.assistantAction.updateMany({
+      where: { id: action.id, status: 'pending' },
+      data: { status: 'applied', decidedAt: new Date() }
+    });
+    if (count === 0) {
+      return res.status(409).json({ error: 'This action was already decided' });
+    }
+
+    let result;
+    try {
+      result = await applyAction(action, { trip, userId: req.userId });
+    } catch (error) {
+      await prisma.assistantAction.update({
+        where: { id: action.id },
+        data: { status: 'failed', error: error.message }
+      });
+      if (error instanceof ChatToolError || error instanceof PlanConflictError) {
+        return res.status(409).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    const applied = await prisma.assistantAction.update({
+      where: { id: action.id },
+      data: { result }
+    });
+
+    res.json(applied);
+  } catch (error) {
+    console.error('Confirm assistant action error:', error);
+    res.status(500).json({ error: 'Failed to apply action' });
+  }
+});
+
+// Reject a proposed action; nothing is changed
+router.post('/actions/:id/reject', authenticateToken, async (req, res) => {
+  try {
+    const { count } = await prisma.assistantAction.updateMany({
+      where: { id: req.params.id, userId: req.userId, status: 'pending' },
+      data: { status: 'rejected', decidedAt: new Date() }
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ error: 'Pending action not found' });
+    }
+
+    res.json({ message: 'Action rejected' });
+  } catch (error) {
+    console.error('Reject assistant action error:', error);
+    res.status(500).json({ error: 'Failed to reject action' });
+  }
+});
+
 // Get travel tips for a specific topic
 router.get('/tips', authenticateToken, async (req, res) => {
   try {
@@ -80,24 +235,20 @@ router.get('/tips', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Topic is required' });
     }
 
-    const ai = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY });
-
     const prompt = `Give 3-5 quick, practical travel tips about "${topic}"${destination ? ` for ${destination}` : ''}. 
     Format as a JSON array of strings. Keep each tip under 50 words.
     Example: ["Tip 1", "Tip 2", "Tip 3"]`;
 
-    const response = await ai.models.generateContent({
-      model: MODEL_NAME,
+    const response = await generate(AI_FEATURES.TIPS, {
       contents: prompt,
+      validate: parseJson
     });
 
     let tips = [];
     try {
-      const text = response.text || '[]';
-      // Extract JSON array from response
-      const jsonMatch = text.match(/\[[\s\S]*\]/);
-      if (jsonMatch) {
-        tips = JSON.parse(jsonMatch[0]);
+      const parsed = parseJson(response.text);
+      if (Array.isArray(parsed)) {
+        tips = parsed;
       }
     } catch {
       tips = [response.text || 'No tips available'];
@@ -1,48 +1,101 @@
 import express from 'express';
+import { randomUUID } from 'crypto';
 import prisma from '../lib/prisma.js';
-import { authenticateToken } from '../middleware/auth.js';
+import { authenticateToken, allowQueryToken } from '../middleware/auth.js';
+import { requireTripRole, getTripRole } from '../middleware/tripAccess.js';
+import { isSessionActive } from '../lib/sessions.js';
+import { sendMail, frontendUrl } from '../lib/mailer.js';
+import { activityPositions, applyItineraryOperations } from '../lib/itinerary.js';
+import { openTripStream, publishTripEvent, tripViewers, disconnectTripUser } from '../lib/tripChannel.js';
+import { downvotedActivities, proposeReplacements, applyReplacements, ReplanError } from '../lib/replanner.js';
+import { updateTripPlan, expectedVersion, planConflictBody, PlanConflictError, REVISION_SOURCES } from '../lib/revisions.js';
+import { notify, notifyItineraryEdit, NOTIFICATION_TYPES } from '../lib/notifications.js';
 
 const router = express.Router();
 
-// Helper: Check if user has access to trip (owner or accepted collaborator)
-async function canAccessTrip(userId, tripId) {
-  const trip = await prisma.plannedTrip.findFirst({
-    where: { id: tripId },
-    include: { collaborators: true }
-  });
-  
-  if (!trip) return { access: false, trip: null, role: null };
-  
-  // Owner has full access
-  if (trip.userId === userId) {
-    return { access: true, trip, role: 'owner' };
-  }
-  
-  // Check if accepted collaborator
-  const collaborator = trip.collaborators.find(
-    c => c.userId === userId && c.status === 'accepted'
-  );
-  
-  if (collaborator) {
-    return { access: true, trip, role: collaborator.role };
-  }
-  
-  return { access: false, trip: null, role: null };
+const DEFAULT_INVITE_EXPIRY_DAYS = 7;
+const MAX_INVITE_EXPIRY_DAYS = 90;
+const INVITE_RESEND_COOLDOWN_MS = 60 * 1000;
+
+// Helper: Expiry date for an invite sent now. `expiresInDays` defaults to INVITE_EXPIRY_DAYS
+// (or 7). Returns { expiresAt } or { error }.
+function inviteExpiry(expiresInDays) {
+  const days = expiresInDays ?? (parseInt(process.env.INVITE_EXPIRY_DAYS) || DEFAULT_INVITE_EXPIRY_DAYS);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_INVITE_EXPIRY_DAYS) {
+    return { error: `expiresInDays must be a whole number from 1 to ${MAX_INVITE_EXPIRY_DAYS}` };
+  }
+  return { expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000) };
 }
 
-// Helper: Check if user is trip owner
-async function isOwner(userId, tripId) {
-  const trip = await prisma.plannedTrip.findFirst({
-    where: { id: tripId, userId }
-  });
-  return !!trip;
+const isInviteExpired = (collaborator) => (
+  collaborator.status === 'pending' && !!collaborator.expiresAt && collaborator.expiresAt < new Date()
+);
+
+const sameEmail = (a, b) => !!a && !!b && a.trim().toLowerCase() === b.trim().toLowerCase();
+
+// Helper: Link to the invite page on the frontend the request came from
+const inviteLinkFor = (req, collaborator) => frontendUrl(`/invite/${collaborator.inviteToken}`, req.get('Origin'));
+
+// Helper: Email an invite. Returns whether it was sent; the link is still returned to the
+// owner so they can share it manually.
+async function sendInviteEmail({ owner, trip, collaborator, inviteLink }) {
+  try {
+    await sendMail({
+      to: collaborator.email,
+      subject: `${owner.name || owner.email} invited you to plan a trip to ${trip.destinationName}`,
+      text: `${owner.name || owner.email} invited you to join their trip to ${trip.destinationName} on WanderGenius as ${collaborator.role === 'editor' ? 'an editor' : 'a viewer'}.\n\nOpen this link to accept:\n${inviteLink}\n\nThis invite expires on ${collaborator.expiresAt.toUTCString()}.`
+    });
+    return true;
+  } catch (mailError) {
+    console.error('Send invite email error:', mailError);
+    return false;
+  }
 }
 
-// Invite collaborator by email
-router.post('/:tripId/invite', authenticateToken, async (req, res) => {
+// Helper: In-app notification for an invitee who already has an account
+async function notifyInvitee({ owner, trip, collaborator }) {
+  try {
+    const invitee = await prisma.user.findFirst({
+      where: { email: { equals: collaborator.email, mode: 'insensitive' } },
+      select: { id: true }
+    });
+    if (!invitee) return;
+
+    await notify(invitee.id, NOTIFICATION_TYPES.TRIP_INVITE, {
+      title: `${owner.name || owner.email} invited you to plan a trip to ${trip.destinationName}`,
+      body: `You're invited as ${collaborator.role === 'editor' ? 'an editor' : 'a viewer'}.`,
+      link: `/invite/${collaborator.inviteToken}`,
+      tripId: trip.id,
+      actorId: owner.id,
+      data: { inviteToken: collaborator.inviteToken, role: collaborator.role },
+      collapse: true
+    });
+  } catch (error) {
+    console.error('Notify invitee error:', error);
+  }
+}
+
+// Helper: What the owner sees about an invite
+const serializeInvite = (req, collaborator) => ({
+  id: collaborator.id,
+  email: collaborator.email,
+  role: collaborator.role,
+  status: collaborator.status,
+  expiresAt: collaborator.expiresAt,
+  expired: isInviteExpired(collaborator),
+  requireEmailMatch: collaborator.requireEmailMatch,
+  lastSentAt: collaborator.lastSentAt,
+  inviteToken: collaborator.inviteToken,
+  inviteLink: inviteLinkFor(req, collaborator)
+});
+
+// Invite collaborator by email. Optional `expiresInDays` and `requireEmailMatch` (only an
+// account with the invited email can accept). Declined or revoked invites can be sent again.
+router.post('/:tripId/invite', authenticateToken, requireTripRole('owner'), async (req, res) => {
   try {
     const { tripId } = req.params;
-    const { email, role = 'editor' } = req.body;
+    const { role = 'editor', expiresInDays, requireEmailMatch = false } = req.body;
+    const email = typeof req.body.email === 'string' ? req.body.email.trim() : '';
 
     if (!email) {
       return res.status(400).json({ error: 'Email is required' });
@@ -52,44 +105,48 @@ router.post('/:tripId/invite', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Role must be editor or viewer' });
     }
 
-    // Verify ownership
-    const isOwnerResult = await isOwner(req.userId, tripId);
-    if (!isOwnerResult) {
-      return res.status(403).json({ error: 'Only trip owner can invite collaborators' });
+    if (typeof requireEmailMatch !== 'boolean') {
+      return res.status(400).json({ error: 'requireEmailMatch must be true or false' });
     }
 
-    // Check if already invited
-    const existing = await prisma.tripCollaborator.findFirst({
-      where: { tripId, email }
-    });
-
-    if (existing) {
-      return res.status(400).json({ error: 'User already invited' });
+    const { expiresAt, error: expiryError } = inviteExpiry(expiresInDays);
+    if (expiryError) {
+      return res.status(400).json({ error: expiryError });
     }
 
     // Check if inviting themselves
     const owner = await prisma.user.findUnique({ where: { id: req.userId } });
-    if (owner.email === email) {
+    if (sameEmail(owner.email, email)) {
       return res.status(400).json({ error: 'Cannot invite yourself' });
     }
 
-    // Create invitation
-    const collaborator = await prisma.tripCollaborator.create({
-      data: {
-        tripId,
-        email,
-        role
-      }
+    // Check if already invited
+    const existing = await prisma.tripCollaborator.findFirst({
+      where: { tripId, email: { equals: email, mode: 'insensitive' } }
     });
 
-    res.status(201).json({
-      id: collaborator.id,
-      email: collaborator.email,
-      role: collaborator.role,
-      status: collaborator.status,
-      inviteToken: collaborator.inviteToken,
-      inviteLink: `http://localhost:3000/invite/${collaborator.inviteToken}`
-    });
+    if (existing && ['pending', 'accepted'].includes(existing.status)) {
+      return res.status(400).json({
+        error: existing.status === 'pending' ? 'User already invited - resend the invite instead' : 'User is already a collaborator'
+      });
+    }
+
+    // A declined or revoked invite is reused with a fresh token, so old links stay dead
+    const data = { role, expiresAt, requireEmailMatch, lastSentAt: new Date() };
+    const collaborator = existing
+      ? await prisma.tripCollaborator.update({
+        where: { id: existing.id },
+        data: { ...data, status: 'pending', userId: null, inviteToken: randomUUID() }
+      })
+      : await prisma.tripCollaborator.create({
+        data: { ...data, tripId, email }
+      });
+
+    const inviteLink = inviteLinkFor(req, collaborator);
+    const emailSent = await sendInviteEmail({ owner, trip: req.trip, collaborator, inviteLink });
+    await notifyInvitee({ owner, trip: req.trip, collaborator });
+
+    res.status(201).json({ ...serializeInvite(req, collaborator), emailSent });
   } catch (error) {
     console.error('Invite collaborator error:', error);
     res.status(500).json({ error: 'Failed to invite collaborator' });
@@ -97,14 +154,10 @@ router.post('/:tripId/invite', authenticateToken, async (req, res) => {
 });
 
 // Get all collaborators for a trip
-router.get('/:tripId/collaborators', authenticateToken, async (req, res) => {
+router.get('/:tripId/collaborators', authenticateToken, requireTripRole('viewer'), async (req, res) => {
   try {
     const { tripId } = req.params;
-    
-    const { access, trip } = await canAccessTrip(req.userId, tripId);
-    if (!access) {
-      return res.status(403).json({ error: 'Access denied' });
-    }
+    const trip = req.trip;
 
     const collaborators = await prisma.tripCollaborator.findMany({
       where: { tripId },
@@ -122,6 +175,8 @@ router.get('/:tripId/collaborators', authenticateToken, async (req, res) => {
       select: { id: true, name: true, email: true }
     });
 
+    const isOwner = req.tripRole === 'owner';
+
     res.json({
       owner,
       collaborators: collaborators.map(c => ({
@@ -129,7 +184,13 @@ router.get('/:tripId/collaborators', authenticateToken, async (req, res) => {
         email: c.email,
         role: c.role,
         status: c.status,
-        inviteToken: trip.userId === req.userId ? c.inviteToken : undefined,
+        expiresAt: c.expiresAt,
+        expired: isInviteExpired(c),
+        requireEmailMatch: c.requireEmailMatch,
+        lastSentAt: isOwner ? c.lastSentAt : undefined,
+        inviteToken: isOwner ? c.inviteToken : undefined,
+        inviteLink: isOwner && c.status === 'pending' ? inviteLinkFor(req, c) : undefined,
+        joinedViaLink: !!c.joinLinkId,
         user: c.user
       }))
     });
@@ -139,21 +200,199 @@ router.get('/:tripId/collaborators', authenticateToken, async (req, res) => {
   }
 });
 
-// Remove collaborator
-router.delete('/:tripId/collaborator/:collaboratorId', authenticateToken, async (req, res) => {
+// Resend a pending invite. Its expiry restarts (optional `expiresInDays`); the link stays the same.
+router.post('/:tripId/collaborator/:collaboratorId/resend', authenticateToken, requireTripRole('owner'), async (req, res) => {
+  try {
+    const { tripId, collaboratorId } = req.params;
+
+    const existing = await prisma.tripCollaborator.findFirst({
+      where: { id: collaboratorId, tripId }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Collaborator not found' });
+    }
+
+    if (existing.status !== 'pending') {
+      return res.status(400).json({ error: 'Only pending invites can be resent' });
+    }
+
+    if (Date.now() - existing.lastSentAt.getTime() < INVITE_RESEND_COOLDOWN_MS) {
+      return res.status(429).json({ error: 'This invite was just sent - wait a minute before resending it' });
+    }
+
+    const { expiresAt, error: expiryError } = inviteExpiry(req.body.expiresInDays);
+    if (expiryError) {
+      return res.status(400).json({ error: expiryError });
+    }
+
+    const collaborator = await prisma.tripCollaborator.update({
+      where: { id: existing.id },
+      data: { expiresAt, lastSentAt: new Date() }
+    });
+
+    const owner = await prisma.user.findUnique({ where: { id: req.userId } });
+    const inviteLink = inviteLinkFor(req, collaborator);
+    const emailSent = await sendInviteEmail({ owner, trip: req.trip, collaborator, inviteLink });
+    await notifyInvitee({ owner, trip: req.trip, collaborator });
+
+    res.json({ ...serializeInvite(req, collaborator), emailSent });
+  } catch (error) {
+    console.error('Resend invite error:', error);
+    res.status(500).json({ error: 'Failed to resend invite' });
+  }
+});
+
+// Revoke a pending invite so its link stops working
+router.post('/:tripId/collaborator/:collaboratorId/revoke', authenticateToken, requireTripRole('owner'), async (req, res) => {
   try {
     const { tripId, collaboratorId } = req.params;
 
-    // Verify ownership
-    const isOwnerResult = await isOwner(req.userId, tripId);
-    if (!isOwnerResult) {
-      return res.status(403).json({ error: 'Only trip owner can remove collaborators' });
+    const existing = await prisma.tripCollaborator.findFirst({
+      where: { id: collaboratorId, tripId }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Collaborator not found' });
     }
 
-    await prisma.tripCollaborator.delete({
-      where: { id: collaboratorId }
+    if (existing.status !== 'pending') {
+      return res.status(400).json({ error: 'Only pending invites can be revoked - remove accepted collaborators instead' });
+    }
+
+    const collaborator = await prisma.tripCollaborator.update({
+      where: { id: existing.id },
+      data: { status: 'revoked' }
     });
 
+    res.json(serializeInvite(req, collaborator));
+  } catch (error) {
+    console.error('Revoke invite error:', error);
+    res.status(500).json({ error: 'Failed to revoke invite' });
+  }
+});
+
+// Change a collaborator's (or pending invite's) role
+router.patch('/:tripId/collaborator/:collaboratorId', authenticateToken, requireTripRole('owner'), async (req, res) => {
+  try {
+    const { tripId, collaboratorId } = req.params;
+    const { role } = req.body;
+
+    if (!['editor', 'viewer'].includes(role)) {
+      return res.status(400).json({ error: 'Role must be editor or viewer' });
+    }
+
+    const existing = await prisma.tripCollaborator.findFirst({
+      where: { id: collaboratorId, tripId }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Collaborator not found' });
+    }
+
+    const collaborator = await prisma.tripCollaborator.update({
+      where: { id: existing.id },
+      data: { role },
+      include: {
+        user: {
+          select: { id: true, name: true, email: true }
+        }
+      }
+    });
+
+    if (collaborator.status === 'accepted') {
+      publishTripEvent(tripId, 'collaborator.updated', {
+        id: collaborator.id,
+        userId: collaborator.userId,
+        role: collaborator.role
+      }, { actorId: req.userId });
+    }
+
+    res.json({
+      id: collaborator.id,
+      email: collaborator.email,
+      role: collaborator.role,
+      status: collaborator.status,
+      user: collaborator.user
+    });
+  } catch (error) {
+    console.error('Update collaborator error:', error);
+    res.status(500).json({ error: 'Failed to update collaborator' });
+  }
+});
+
+// Hand the trip over to an accepted collaborator. The previous owner stays on as an editor.
+router.post('/:tripId/transfer-ownership', authenticateToken, requireTripRole('owner'), async (req, res) => {
+  try {
+    const { tripId } = req.params;
+    const { collaboratorId } = req.body;
+
+    if (!collaboratorId) {
+      return res.status(400).json({ error: 'collaboratorId is required' });
+    }
+
+    const target = req.trip.collaborators.find(c => c.id === collaboratorId);
+    if (!target) {
+      return res.status(404).json({ error: 'Collaborator not found' });
+    }
+
+    if (target.status !== 'accepted' || !target.userId) {
+      return res.status(400).json({ error: 'Ownership can only be transferred to a collaborator who has accepted their invite' });
+    }
+
+    const previousOwner = await prisma.user.findUnique({ where: { id: req.userId } });
+    const stale = req.trip.collaborators.find(c => c.id !== target.id && (c.userId === req.userId || sameEmail(c.email, previousOwner.email)));
+
+    await prisma.$transaction([
+      prisma.tripCollaborator.deleteMany({
+        where: { id: { in: [target.id, stale?.id].filter(Boolean) } }
+      }),
+      prisma.plannedTrip.update({
+        where: { id: tripId },
+        data: { userId: target.userId }
+      }),
+      prisma.tripCollaborator.create({
+        data: {
+          tripId,
+          email: previousOwner.email,
+          userId: req.userId,
+          role: 'editor',
+          status: 'accepted'
+        }
+      })
+    ]);
+
+    publishTripEvent(tripId, 'owner.changed', {
+      ownerId: target.userId,
+      previousOwnerId: req.userId
+    }, { actorId: req.userId });
+
+    res.json({ message: 'Ownership transferred', ownerId: target.userId, role: 'editor' });
+  } catch (error) {
+    console.error('Transfer ownership error:', error);
+    res.status(500).json({ error: 'Failed to transfer ownership' });
+  }
+});
+
+// Remove collaborator
+router.delete('/:tripId/collaborator/:collaboratorId', authenticateToken, requireTripRole('owner'), async (req, res) => {
+  try {
+    const { tripId, collaboratorId } = req.params;
+
+    // Only remove collaborators that belong to this trip
+    const collaborator = await prisma.tripCollaborator.findFirst({
+      where: { id: collaboratorId, tripId }
+    });
+
+    if (!collaborator) {
+      return res.status(404).json({ error: 'Collaborator not found' });
+    }
+
+    await prisma.tripCollaborator.delete({ where: { id: collaborator.id } });
+
+    // End any live streams they still have open on this trip
+    if (collaborator.userId) disconnectTripUser(tripId, collaborator.userId);
+
     res.json({ message: 'Collaborator removed' });
   } catch (error) {
     console.error('Remove collaborator error:', error);
@@ -190,6 +429,9 @@ router.get('/invite/:token', async (req, res) => {
       email: collaborator.email,
       role: collaborator.role,
       status: collaborator.status,
+      expiresAt: collaborator.expiresAt,
+      expired: isInviteExpired(collaborator),
+      requireEmailMatch: collaborator.requireEmailMatch,
       trip: {
         id: collaborator.trip.id,
         destinationName: collaborator.trip.destinationName,
@@ -205,26 +447,47 @@ router.get('/invite/:token', async (req, res) => {
   }
 });
 
+// Helper: Why `user` can't respond to an invite, as { status, error }, or null if they can
+function inviteResponseError(collaborator, user) {
+  if (collaborator.status === 'revoked') {
+    return { status: 410, error: 'This invite has been revoked' };
+  }
+  if (collaborator.status !== 'pending') {
+    return { status: 400, error: 'Invite already processed' };
+  }
+  if (isInviteExpired(collaborator)) {
+    return { status: 410, error: 'This invite has expired - ask the trip owner to resend it' };
+  }
+  if (collaborator.requireEmailMatch && !sameEmail(user.email, collaborator.email)) {
+    return { status: 403, error: 'This invite was sent to a different email address' };
+  }
+  return null;
+}
+
 // Accept invite
 router.post('/invite/:token/accept', authenticateToken, async (req, res) => {
   try {
     const collaborator = await prisma.tripCollaborator.findUnique({
-      where: { inviteToken: req.params.token }
+      where: { inviteToken: req.params.token },
+      include: { trip: { include: { collaborators: true } } }
     });
 
     if (!collaborator) {
       return res.status(404).json({ error: 'Invite not found' });
     }
 
-    if (collaborator.status !== 'pending') {
-      return res.status(400).json({ error: 'Invite already processed' });
+    const user = await prisma.user.findUnique({ where: { id: req.userId } });
+    const responseError = inviteResponseError(collaborator, user);
+    if (responseError) {
+      return res.status(responseError.status).json({ error: responseError.error });
     }
 
-    // Verify email matches (optional - could be flexible)
-    const user = await prisma.user.findUnique({ where: { id: req.userId } });
-    if (user.email !== collaborator.email) {
-      // Allow accepting with different email for flexibility
-      console.log(`User ${user.email} accepting invite for ${collaborator.email}`);
+    if (collaborator.trip.userId === req.userId) {
+      return res.status(400).json({ error: 'You already own this trip' });
+    }
+
+    if (collaborator.trip.collaborators.some(c => c.userId === req.userId && c.status === 'accepted')) {
+      return res.status(400).json({ error: 'You are already a collaborator on this trip' });
     }
 
     const updated = await prisma.tripCollaborator.update({
@@ -257,6 +520,12 @@ router.post('/invite/:token/decline', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Invite not found' });
     }
 
+    const user = await prisma.user.findUnique({ where: { id: req.userId } });
+    const responseError = inviteResponseError(collaborator, user);
+    if (responseError) {
+      return res.status(responseError.status).json({ error: responseError.error });
+    }
+
     await prisma.tripCollaborator.update({
       where: { id: collaborator.id },
       data: { status: 'declined' }
@@ -269,32 +538,307 @@ router.post('/invite/:token/decline', authenticateToken, async (req, res) => {
   }
 });
 
-// Vote on activity
-router.post('/:tripId/vote', authenticateToken, async (req, res) => {
+// Helper: Why a join link can't be redeemed, as { status, error }, or null if it can
+function joinLinkError(link) {
+  if (link.disabledAt) {
+    return { status: 410, error: 'This join link has been disabled' };
+  }
+  if (link.expiresAt < new Date()) {
+    return { status: 410, error: 'This join link has expired' };
+  }
+  if (link.maxUses !== null && link.useCount >= link.maxUses) {
+    return { status: 410, error: 'This join link has already been used the maximum number of times' };
+  }
+  return null;
+}
+
+// Helper: What the owner sees about a join link
+const serializeJoinLink = (req, link) => ({
+  id: link.id,
+  role: link.role,
+  maxUses: link.maxUses,
+  useCount: link.useCount,
+  remainingUses: link.maxUses === null ? null : Math.max(link.maxUses - link.useCount, 0),
+  expiresAt: link.expiresAt,
+  disabledAt: link.disabledAt,
+  active: !joinLinkError(link),
+  token: link.token,
+  url: frontendUrl(`/join/${link.token}`, req.get('Origin')),
+  createdAt: link.createdAt
+});
+
+// Create a join link anyone logged in can use to join the trip. Optional `role` (default
+// viewer), `maxUses` (default unlimited) and `expiresInDays`.
+router.post('/:tripId/join-links', authenticateToken, requireTripRole('owner'), async (req, res) => {
   try {
     const { tripId } = req.params;
-    const { day, activityIndex, vote } = req.body;
+    const { role = 'viewer', maxUses = null, expiresInDays } = req.body;
+
+    if (!['editor', 'viewer'].includes(role)) {
+      return res.status(400).json({ error: 'Role must be editor or viewer' });
+    }
+
+    if (maxUses !== null && (!Number.isInteger(maxUses) || maxUses < 1)) {
+      return res.status(400).json({ error: 'maxUses must be a positive whole number' });
+    }
+
+    const { expiresAt, error: expiryError } = inviteExpiry(expiresInDays);
+    if (expiryError) {
+      return res.status(400).json({ error: expiryError });
+    }
+
+    const link = await prisma.tripJoinLink.create({
+      data: {
+        tripId,
+        role,
+        maxUses,
+        expiresAt,
+        createdById: req.userId
+      }
+    });
+
+    res.status(201).json(serializeJoinLink(req, link));
+  } catch (error) {
+    console.error('Create join link error:', error);
+    res.status(500).json({ error: 'Failed to create join link' });
+  }
+});
+
+// List the trip's join links (newest first)
+router.get('/:tripId/join-links', authenticateToken, requireTripRole('owner'), async (req, res) => {
+  try {
+    const links = await prisma.tripJoinLink.findMany({
+      where: { tripId: req.params.tripId },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json(links.map(link => serializeJoinLink(req, link)));
+  } catch (error) {
+    console.error('Get join links error:', error);
+    res.status(500).json({ error: 'Failed to get join links' });
+  }
+});
+
+// Disable a join link. People who already joined through it stay on the trip.
+router.post('/:tripId/join-links/:linkId/disable', authenticateToken, requireTripRole('owner'), async (req, res) => {
+  try {
+    const { tripId, linkId } = req.params;
+
+    const existing = await prisma.tripJoinLink.findFirst({
+      where: { id: linkId, tripId }
+    });
 
-    if (day === undefined || activityIndex === undefined || !vote) {
-      return res.status(400).json({ error: 'day, activityIndex, and vote are required' });
+    if (!existing) {
+      return res.status(404).json({ error: 'Join link not found' });
+    }
+
+    const link = existing.disabledAt
+      ? existing
+      : await prisma.tripJoinLink.update({
+        where: { id: existing.id },
+        data: { disabledAt: new Date() }
+      });
+
+    res.json(serializeJoinLink(req, link));
+  } catch (error) {
+    console.error('Disable join link error:', error);
+    res.status(500).json({ error: 'Failed to disable join link' });
+  }
+});
+
+// Get join link details (no auth required)
+router.get('/join/:token', async (req, res) => {
+  try {
+    const link = await prisma.tripJoinLink.findUnique({
+      where: { token: req.params.token },
+      include: {
+        trip: {
+          select: {
+            id: true,
+            destinationName: true,
+            days: true,
+            photoUrl: true,
+            startLocation: true,
+            user: {
+              select: { name: true, email: true }
+            }
+          }
+        }
+      }
+    });
+
+    if (!link) {
+      return res.status(404).json({ error: 'Join link not found' });
+    }
+
+    const linkError = joinLinkError(link);
+    if (linkError) {
+      return res.status(linkError.status).json({ error: linkError.error });
+    }
+
+    res.json({
+      role: link.role,
+      expiresAt: link.expiresAt,
+      trip: {
+        id: link.trip.id,
+        destinationName: link.trip.destinationName,
+        days: link.trip.days,
+        photoUrl: link.trip.photoUrl,
+        startLocation: link.trip.startLocation,
+        ownerName: link.trip.user.name || link.trip.user.email
+      }
+    });
+  } catch (error) {
+    console.error('Get join link error:', error);
+    res.status(500).json({ error: 'Failed to get join link details' });
+  }
+});
+
+// Join a trip through a join link
+router.post('/join/:token', authenticateToken, async (req, res) => {
+  try {
+    const link = await prisma.tripJoinLink.findUnique({
+      where: { token: req.params.token },
+      include: { trip: { include: { collaborators: true } } }
+    });
+
+    if (!link) {
+      return res.status(404).json({ error: 'Join link not found' });
+    }
+
+    const linkError = joinLinkError(link);
+    if (linkError) {
+      return res.status(linkError.status).json({ error: linkError.error });
+    }
+
+    if (link.trip.userId === req.userId) {
+      return res.status(400).json({ error: 'You already own this trip' });
+    }
+
+    const user = await prisma.user.findUnique({ where: { id: req.userId } });
+    const existing = link.trip.collaborators.find(c => sameEmail(c.email, user.email));
+
+    if (link.trip.collaborators.some(c => c.userId === req.userId && c.status === 'accepted') || existing?.status === 'accepted') {
+      return res.status(400).json({ error: 'You are already a collaborator on this trip' });
+    }
+
+    // A use is claimed only if nobody else claimed one since the link was read, so
+    // maxUses can't be exceeded by simultaneous joins. Any earlier invite to the same
+    // email is taken over.
+    const collaborator = await prisma.$transaction(async (tx) => {
+      const claimed = await tx.tripJoinLink.updateMany({
+        where: { id: link.id, useCount: link.useCount, disabledAt: null },
+        data: { useCount: { increment: 1 } }
+      });
+      if (claimed.count === 0) return null;
+
+      const data = {
+        role: link.role,
+        status: 'accepted',
+        userId: req.userId,
+        joinLinkId: link.id,
+        expiresAt: null
+      };
+      return existing
+        ? tx.tripCollaborator.update({ where: { id: existing.id }, data })
+        : tx.tripCollaborator.create({ data: { ...data, tripId: link.tripId, email: user.email } });
+    });
+
+    if (!collaborator) {
+      return res.status(409).json({ error: 'Someone else joined with this link at the same time - please try again' });
+    }
+
+    publishTripEvent(link.tripId, 'collaborator.joined', {
+      id: collaborator.id,
+      userId: req.userId,
+      name: user.name,
+      role: collaborator.role
+    }, { actorId: req.userId });
+
+    res.status(201).json({
+      message: 'Joined trip',
+      tripId: collaborator.tripId,
+      role: collaborator.role
+    });
+  } catch (error) {
+    console.error('Join trip error:', error);
+    res.status(500).json({ error: 'Failed to join trip' });
+  }
+});
+
+// Helper: Apply edit operations to the request's trip itinerary and save them as a new
+// revision. Edits based on an older trip version get 409 with the current plan.
+// Returns { status, body }.
+async function editItinerary(req, operations) {
+  const trip = req.trip;
+  const { version, error: versionError } = expectedVersion(req);
+  if (versionError) {
+    return { status: 400, body: { error: versionError } };
+  }
+  if (version !== undefined && version !== trip.version) {
+    return { status: 409, body: await planConflictBody(trip.id, new PlanConflictError()) };
+  }
+
+  const result = applyItineraryOperations(trip.itinerary, operations);
+  if (result.error) {
+    return { status: 400, body: { error: result.error, operationIndex: result.operationIndex } };
+  }
+
+  // Photos would lose their day, so removing a day with photos is refused
+  const removedDays = Object.entries(result.dayMap).filter(([, day]) => day === null).map(([day]) => parseInt(day));
+  if (removedDays.length > 0) {
+    const photoCount = await prisma.tripPhoto.count({
+      where: { tripId: trip.id, day: { in: removedDays } }
+    });
+    if (photoCount > 0) {
+      return { status: 409, body: { error: 'Move or delete the photos on a day before removing it' } };
+    }
+  }
+
+  try {
+    const updated = await updateTripPlan(trip, result, {
+      authorId: req.userId,
+      source: REVISION_SOURCES.ITINERARY_EDIT
+    });
+    await notifyItineraryEdit(trip, req.userId);
+    return { status: 200, body: { itinerary: updated.itinerary, days: updated.days, version: updated.version } };
+  } catch (error) {
+    if (error instanceof PlanConflictError) {
+      return { status: 409, body: await planConflictBody(trip.id, error) };
+    }
+    throw error;
+  }
+}
+
+// Vote on activity (by activityId, or by its current day and activityIndex)
+router.post('/:tripId/vote', authenticateToken, requireTripRole('viewer'), async (req, res) => {
+  try {
+    const { tripId } = req.params;
+    const { activityId, day, activityIndex, vote } = req.body;
+
+    if ((!activityId && (day === undefined || activityIndex === undefined)) || !vote) {
+      return res.status(400).json({ error: 'activityId (or day and activityIndex) and vote are required' });
     }
 
     if (!['up', 'down'].includes(vote)) {
       return res.status(400).json({ error: 'Vote must be "up" or "down"' });
     }
 
-    const { access } = await canAccessTrip(req.userId, tripId);
-    if (!access) {
-      return res.status(403).json({ error: 'Access denied' });
+    const positions = activityPositions(req.trip.itinerary);
+    const targetId = activityId || [...positions.entries()]
+      .find(([, p]) => p.day === day && p.activityIndex === activityIndex)?.[0];
+    const position = positions.get(targetId);
+
+    if (!position) {
+      return res.status(400).json({ error: 'Activity not found' });
     }
 
     // Upsert vote
     const existingVote = await prisma.activityVote.findUnique({
       where: {
-        tripId_day_activityIndex_userId: {
+        tripId_activityId_userId: {
           tripId,
-          day,
-          activityIndex,
+          activityId: targetId,
           userId: req.userId
         }
       }
@@ -317,28 +861,68 @@ router.post('/:tripId/vote', authenticateToken, async (req, res) => {
     } else {
       // Create new vote
       result = await prisma.activityVote.create({
-        data: { tripId, day, activityIndex, userId: req.userId, vote }
+        data: { tripId, activityId: targetId, ...position, userId: req.userId, vote }
       });
       result = { action: 'created', vote: result.vote };
     }
 
-    res.json(result);
+    publishTripEvent(tripId, 'vote.updated', {
+      ...result,
+      activityId: targetId,
+      ...position,
+      userId: req.userId
+    }, { actorId: req.userId });
+
+    res.json({ ...result, activityId: targetId });
   } catch (error) {
     console.error('Vote error:', error);
     res.status(500).json({ error: 'Failed to vote' });
   }
 });
 
+// Helper: The user's current role on a trip, or null once their session is revoked or they
+// lose access. Open event streams call it on every heartbeat.
+async function streamAccess(tripId, userId, sessionId) {
+  if (!(await isSessionActive(sessionId))) return null;
+
+  const trip = await prisma.plannedTrip.findUnique({
+    where: { id: tripId },
+    include: { collaborators: true }
+  });
+  return getTripRole(trip, userId);
+}
+
+// Live trip events as Server-Sent Events. EventSource clients pass ?access_token=<JWT>.
+router.get('/:tripId/events', allowQueryToken, authenticateToken, requireTripRole('viewer'), async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.userId },
+      select: { id: true, name: true }
+    });
+
+    openTripStream(res, {
+      tripId: req.params.tripId,
+      user,
+      role: req.tripRole,
+      expiresAt: req.tokenExpiresAt,
+      checkAccess: () => streamAccess(req.params.tripId, req.userId, req.sessionId)
+    });
+  } catch (error) {
+    console.error('Trip events error:', error);
+    res.status(500).json({ error: 'Failed to open trip events' });
+  }
+});
+
+// Who has the trip open right now
+router.get('/:tripId/presence', authenticateToken, requireTripRole('viewer'), (req, res) => {
+  res.json({ viewers: tripViewers(req.params.tripId) });
+});
+
 // Get votes for trip
-router.get('/:tripId/votes', authenticateToken, async (req, res) => {
+router.get('/:tripId/votes', authenticateToken, requireTripRole('viewer'), async (req, res) => {
   try {
     const { tripId } = req.params;
 
-    const { access } = await canAccessTrip(req.userId, tripId);
-    if (!access) {
-      return res.status(403).json({ error: 'Access denied' });
-    }
-
     const votes = await prisma.activityVote.findMany({
       where: { tripId },
       include: {
@@ -346,16 +930,18 @@ router.get('/:tripId/votes', authenticateToken, async (req, res) => {
       }
     });
 
-    // Group votes by day and activity
-    const voteTallies = {};
+    // Group votes by activity, plus "day-activityIndex" keys for older clients
+    const tallies = {};
+    const talliesByActivity = {};
     votes.forEach(v => {
       const key = `${v.day}-${v.activityIndex}`;
-      if (!voteTallies[key]) {
-        voteTallies[key] = { up: 0, down: 0, voters: [] };
+      if (!talliesByActivity[v.activityId]) {
+        talliesByActivity[v.activityId] = { up: 0, down: 0, voters: [] };
+        tallies[key] = talliesByActivity[v.activityId];
       }
-      if (v.vote === 'up') voteTallies[key].up++;
-      else voteTallies[key].down++;
-      voteTallies[key].voters.push({
+      if (v.vote === 'up') talliesByActivity[v.activityId].up++;
+      else talliesByActivity[v.activityId].down++;
+      talliesByActivity[v.activityId].voters.push({
         userId: v.userId,
         name: v.user.name,
         vote: v.vote
@@ -363,57 +949,218 @@ router.get('/:tripId/votes', authenticateToken, async (req, res) => {
     });
 
     // Get current user's votes
-    const userVotes = votes
-      .filter(v => v.userId === req.userId)
-      .reduce((acc, v) => {
-        acc[`${v.day}-${v.activityIndex}`] = v.vote;
-        return acc;
-      }, {});
-
-    res.json({ tallies: voteTallies, userVotes });
+    const myVotes = votes.filter(v => v.userId === req.userId);
+    const userVotes = Object.fromEntries(myVotes.map(v => [`${v.day}-${v.activityIndex}`, v.vote]));
+    const userVotesByActivity = Object.fromEntries(myVotes.map(v => [v.activityId, v.vote]));
+
+    res.json({ tallies, userVotes, talliesByActivity, userVotesByActivity });
   } catch (error) {
     console.error('Get votes error:', error);
     res.status(500).json({ error: 'Failed to get votes' });
   }
 });
 
-// Edit itinerary activity (collaborative)
-router.patch('/:tripId/itinerary', authenticateToken, async (req, res) => {
+// Edit itinerary activity (collaborative), by activityId or by day and activityIndex
+router.patch('/:tripId/itinerary', authenticateToken, requireTripRole('editor'), async (req, res) => {
+  try {
+    const { activityId, day, activityIndex, updates } = req.body;
+
+    const targetId = activityId || req.trip.itinerary
+      ?.find(d => d.day === day)?.activities?.[activityIndex]?.id;
+
+    if (!targetId) {
+      return res.status(400).json({ error: 'Invalid day or activity index' });
+    }
+
+    const { status, body } = await editItinerary(req, [{ type: 'updateActivity', activityId: targetId, updates }]);
+    res.status(status).json(body);
+  } catch (error) {
+    console.error('Edit itinerary error:', error);
+    res.status(500).json({ error: 'Failed to edit itinerary' });
+  }
+});
+
+// Apply a batch of itinerary edits (add/remove/move/reorder activities and days) atomically
+router.post('/:tripId/itinerary/operations', authenticateToken, requireTripRole('editor'), async (req, res) => {
+  try {
+    const { status, body } = await editItinerary(req, req.body.operations);
+    res.status(status).json(body);
+  } catch (error) {
+    console.error('Itinerary operations error:', error);
+    res.status(500).json({ error: 'Failed to edit itinerary' });
+  }
+});
+
+// Ask Gemini to replace activities with net negative votes. Nothing changes until the
+// proposal is accepted. Optional `activityIds` limits it to some of those activities.
+router.post('/:tripId/replan', authenticateToken, requireTripRole('editor'), async (req, res) => {
   try {
     const { tripId } = req.params;
-    const { day, activityIndex, updates } = req.body;
+    const { activityIds } = req.body;
+    const trip = req.trip;
 
-    const { access, trip, role } = await canAccessTrip(req.userId, tripId);
-    if (!access) {
-      return res.status(403).json({ error: 'Access denied' });
+    if (activityIds !== undefined && !Array.isArray(activityIds)) {
+      return res.status(400).json({ error: 'activityIds must be an array' });
     }
 
-    if (role === 'viewer') {
-      return res.status(403).json({ error: 'Viewers cannot edit itinerary' });
+    const votes = await prisma.activityVote.findMany({
+      where: { tripId },
+      select: { activityId: true, vote: true }
+    });
+
+    const activities = downvotedActivities(trip.itinerary, votes)
+      .filter(a => !activityIds || activityIds.includes(a.activityId));
+
+    if (activities.length === 0) {
+      return res.status(400).json({ error: 'No activities have more downvotes than upvotes' });
     }
 
-    const itinerary = [...trip.itinerary];
-    const dayPlan = itinerary.find(d => d.day === day);
-    
-    if (!dayPlan || !dayPlan.activities[activityIndex]) {
-      return res.status(400).json({ error: 'Invalid day or activity index' });
+    // Plan for everyone on the trip: the owner and accepted collaborators
+    const memberIds = [
+      trip.userId,
+      ...trip.collaborators.filter(c => c.status === 'accepted' && c.userId).map(c => c.userId)
+    ];
+    const members = await prisma.user.findMany({
+      where: { id: { in: memberIds } },
+      select: { name: true, profile: true }
+    });
+    const profiles = members.map(m => ({ name: m.name, ...m.profile }));
+
+    const changes = await proposeReplacements({ trip, activities, profiles });
+
+    const proposal = await prisma.replanProposal.create({
+      data: {
+        tripId,
+        createdById: req.userId,
+        baseVersion: trip.version,
+        changes
+      }
+    });
+
+    publishTripEvent(tripId, 'replan.proposed', proposal, { actorId: req.userId });
+
+    res.status(201).json(proposal);
+  } catch (error) {
+    if (error instanceof ReplanError) {
+      return res.status(502).json({ error: error.message });
     }
+    console.error('Replan error:', error);
+    res.status(500).json({ error: 'Failed to re-plan activities' });
+  }
+});
 
-    // Apply updates
-    dayPlan.activities[activityIndex] = {
-      ...dayPlan.activities[activityIndex],
-      ...updates
-    };
+// List re-planning proposals (newest first), optionally ?status=pending|accepted|rejected
+router.get('/:tripId/replan', authenticateToken, requireTripRole('viewer'), async (req, res) => {
+  try {
+    const { status } = req.query;
 
-    const updated = await prisma.plannedTrip.update({
-      where: { id: tripId },
-      data: { itinerary }
+    const proposals = await prisma.replanProposal.findMany({
+      where: { tripId: req.params.tripId, ...(status && { status }) },
+      orderBy: { createdAt: 'desc' },
+      include: {
+        createdBy: { select: { id: true, name: true } },
+        decidedBy: { select: { id: true, name: true } }
+      }
     });
 
-    res.json({ itinerary: updated.itinerary });
+    res.json({ proposals });
   } catch (error) {
-    console.error('Edit itinerary error:', error);
-    res.status(500).json({ error: 'Failed to edit itinerary' });
+    console.error('Get replan proposals error:', error);
+    res.status(500).json({ error: 'Failed to get proposals' });
+  }
+});
+
+// Accept a proposal and write its replacements into the itinerary. Optional `activityIds`
+// accepts only some of the replacements.
+router.post('/:tripId/replan/:proposalId/accept', authenticateToken, requireTripRole('editor'), async (req, res) => {
+  try {
+    const { tripId, proposalId } = req.params;
+    const { activityIds } = req.body;
+
+    const { version, error: versionError } = expectedVersion(req);
+    if (versionError) {
+      return res.status(400).json({ error: versionError });
+    }
+
+    const proposal = await prisma.replanProposal.findFirst({
+      where: { id: proposalId, tripId }
+    });
+
+    if (!proposal) {
+      return res.status(404).json({ error: 'Proposal not found' });
+    }
+
+    if (proposal.status !== 'pending') {
+      return res.status(409).json({ error: `This proposal was already ${proposal.status}` });
+    }
+
+    if (activityIds !== undefined && !Array.isArray(activityIds)) {
+      return res.status(400).json({ error: 'activityIds must be an array' });
+    }
+
+    const changes = proposal.changes.filter(c => !activityIds || activityIds.includes(c.activityId));
+    if (changes.length === 0) {
+      return res.status(400).json({ error: 'No replacements selected' });
+    }
+
+    const result = applyReplacements(req.trip.itinerary, changes);
+    if (result.error) {
+      return res.status(409).json({ error: `${result.error}. Generate a new proposal.` });
+    }
+
+    const updated = await updateTripPlan(req.trip, { itinerary: result.itinerary }, {
+      authorId: req.userId,
+      source: REVISION_SOURCES.REPLAN,
+      expectedVersion: version
+    });
+
+    const decided = await prisma.replanProposal.update({
+      where: { id: proposal.id },
+      data: { status: 'accepted', decidedById: req.userId, decidedAt: new Date() }
+    });
+
+    publishTripEvent(tripId, 'replan.accepted', {
+      proposalId: proposal.id,
+      activityIds: changes.map(c => c.activityId)
+    }, { actorId: req.userId });
+    await notifyItineraryEdit(req.trip, req.userId);
+
+    res.json({
+      proposal: decided,
+      applied: changes.length,
+      itinerary: updated.itinerary,
+      days: updated.days,
+      version: updated.version
+    });
+  } catch (error) {
+    if (error instanceof PlanConflictError) {
+      return res.status(409).json(await planConflictBody(req.trip.id, error));
+    }
+    console.error('Accept replan error:', error);
+    res.status(500).json({ error: 'Failed to accept proposal' });
+  }
+});
+
+// Reject a proposal without changing the itinerary
+router.post('/:tripId/replan/:proposalId/reject', authenticateToken, requireTripRole('editor'), async (req, res) => {
+  try {
+    const { tripId, proposalId } = req.params;
+
+    const { count } = await prisma.replanProposal.updateMany({
+      where: { id: proposalId, tripId, status: 'pending' },
+      data: { status: 'rejected', decidedById: req.userId, decidedAt: new Date() }
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ error: 'Pending proposal not found' });
+    }
+
+    publishTripEvent(tripId, 'replan.rejected', { proposalId }, { actorId: req.userId });
+
+    res.json({ message: 'Proposal rejected' });
+  } catch (error) {
+    console.error('Reject replan error:', error);
+    res.status(500).json({ error: 'Failed to reject proposal' });
   }
 });
 
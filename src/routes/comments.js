@@ -0,0 +1,266 @@
+import express from 'express';
+import prisma from '../lib/prisma.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { requireTripRole } from '../middleware/tripAccess.js';
+import { activityPositions } from '../lib/itinerary.js';
+import { publishTripEvent } from '../lib/tripChannel.js';
+import { sendMail, frontendUrl } from '../lib/mailer.js';
+
+const router = express.Router();
+
+const MAX_COMMENT_LENGTH = 2000;
+
+const commentInclude = {
+  author: { select: { id: true, name: true } }
+};
+
+// Helper: The trip owner and accepted collaborators, who can be @mentioned
+async function getTripMembers(trip) {
+  const ids = [
+    trip.userId,
+    ...trip.collaborators.filter(c => c.status === 'accepted' && c.userId).map(c => c.userId)
+  ];
+  return prisma.user.findMany({
+    where: { id: { in: ids } },
+    select: { id: true, name: true, email: true }
+  });
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Helper: Ids of members mentioned as @Name or @email (case-insensitive)
+function findMentions(body, members) {
+  return members
+    .filter(member => [member.name, member.email].filter(Boolean).some(handle => (
+      new RegExp(`(^|[^\\w@])@${escapeRegExp(handle)}(?![\\w.@-]*\\w)`, 'i').test(body)
+    )))
+    .map(member => member.id);
+}
+
+// Helper: Validate comment text. Returns { error } or { body }.
+function cleanBody(body) {
+  if (typeof body !== 'string' || !body.trim()) {
+    return { error: 'Comment body is required' };
+  }
+  if (body.trim().length > MAX_COMMENT_LENGTH) {
+    return { error: `Comments can be at most ${MAX_COMMENT_LENGTH} characters` };
+  }
+  return { body: body.trim() };
+}
+
+// Helper: Deleted comments keep their place in the thread but lose their content
+const serializeComment = (comment) => (comment.deletedAt
+  ? { ...comment, body: null, mentions: [], author: null }
+  : comment);
+
+// Helper: Email members who were newly mentioned (never the author)
+async function notifyMentions({ trip, comment, author, userIds, members }) {
+  const activity = trip.itinerary
+    ?.flatMap(d => d.activities || [])
+    .find(a => a.id === comment.activityId);
+
+  for (const member of members.filter(m => userIds.includes(m.id) && m.id !== author.id)) {
+    try {
+      await sendMail({
+        to: member.email,
+        subject: `${author.name || 'A collaborator'} mentioned you on your trip to ${trip.destinationName}`,
+        text: `${author.name || 'A collaborator'} mentioned you in a comment on "${activity?.activity || 'an activity'}" (day ${comment.day}):\n\n${comment.body}\n\nOpen the trip:\n${frontendUrl(`/trips/${trip.id}`)}`
+      });
+    } catch (mailError) {
+      console.error('Send mention email error:', mailError);
+    }
+  }
+}
+
+// List comments as threads (top-level comments with nested replies), oldest first.
+// Filter with ?activityId= or ?day=.
+router.get('/:tripId', authenticateToken, requireTripRole('viewer'), async (req, res) => {
+  try {
+    const { tripId } = req.params;
+    const { activityId, day } = req.query;
+
+    if (activityId !== undefined && typeof activityId !== 'string') {
+      return res.status(400).json({ error: 'activityId must be a single value' });
+    }
+    if (day !== undefined && !/^[1-9]\d*$/.test(day)) {
+      return res.status(400).json({ error: 'day must be a positive integer' });
+    }
+
+    const comments = await prisma.activityComment.findMany({
+      where: {
+        tripId,
+        ...(activityId && { activityId }),
+        ...(day && { day: parseInt(day) })
+      },
+      orderBy: { createdAt: 'asc' },
+      include: commentInclude
+    });
+
+    // Build the reply tree
+    const byId = new Map(comments.map(c => [c.id, { ...serializeComment(c), replies: [] }]));
+    const threads = [];
+    byId.forEach(comment => {
+      const parent = comment.parentId && byId.get(comment.parentId);
+      if (parent) parent.replies.push(comment);
+      else threads.push(comment);
+    });
+
+    // Comment counts per activity, for badges in the itinerary view
+    const counts = {};
+    comments.filter(c => !c.deletedAt).forEach(c => {
+      counts[c.activityId] = (counts[c.activityId] || 0) + 1;
+    });
+
+    res.json({ comments: threads, counts });
+  } catch (error) {
+    console.error('Get comments error:', error);
+    res.status(500).json({ error: 'Failed to get comments' });
+  }
+});
+
+// Comment on an activity, or reply to a comment with parentId
+router.post('/:tripId', authenticateToken, requireTripRole('viewer'), async (req, res) => {
+  try {
+    const { tripId } = req.params;
+    const { parentId } = req.body;
+    let { activityId } = req.body;
+
+    const { error, body } = cleanBody(req.body.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    // Replies belong to the same activity as the comment they answer
+    if (parentId) {
+      const parent = await prisma.activityComment.findFirst({
+        where: { id: parentId, tripId }
+      });
+      if (!parent) {
+        return res.status(404).json({ error: 'Parent comment not found' });
+      }
+      if (activityId && activityId !== parent.activityId) {
+        return res.status(400).json({ error: 'A reply must be on the same activity as its parent' });
+      }
+      activityId = parent.activityId;
+    }
+
+    if (!activityId) {
+      return res.status(400).json({ error: 'activityId is required' });
+    }
+
+    const position = activityPositions(req.trip.itinerary).get(activityId);
+    if (!position) {
+      return res.status(400).json({ error: 'Activity not found' });
+    }
+
+    const members = await getTripMembers(req.trip);
+    const mentions = findMentions(body, members);
+
+    const comment = await prisma.activityComment.create({
+      data: {
+        tripId,
+        activityId,
+        day: position.day,
+        parentId: parentId || null,
+        authorId: req.userId,
+        body,
+        mentions
+      },
+      include: commentInclude
+    });
+
+    publishTripEvent(tripId, 'comment.added', comment, { actorId: req.userId });
+    await notifyMentions({ trip: req.trip, comment, author: comment.author, userIds: mentions, members });
+
+    res.status(201).json(comment);
+  } catch (error) {
+    console.error('Add comment error:', error);
+    res.status(500).json({ error: 'Failed to add comment' });
+  }
+});
+
+// Edit your own comment
+router.patch('/:tripId/:commentId', authenticateToken, requireTripRole('viewer'), async (req, res) => {
+  try {
+    const { tripId, commentId } = req.params;
+
+    const existing = await prisma.activityComment.findFirst({
+      where: { id: commentId, tripId, deletedAt: null }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    if (existing.authorId !== req.userId) {
+      return res.status(403).json({ error: 'You can only edit your own comments' });
+    }
+
+    const { error, body } = cleanBody(req.body.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const members = await getTripMembers(req.trip);
+    const mentions = findMentions(body, members);
+
+    const comment = await prisma.activityComment.update({
+      where: { id: commentId },
+      data: { body, mentions, editedAt: new Date() },
+      include: commentInclude
+    });
+
+    publishTripEvent(tripId, 'comment.updated', comment, { actorId: req.userId });
+    await notifyMentions({
+      trip: req.trip,
+      comment,
+      author: comment.author,
+      userIds: mentions.filter(id => !existing.mentions.includes(id)),
+      members
+    });
+
+    res.json(comment);
+  } catch (error) {
+    console.error('Edit comment error:', error);
+    res.status(500).json({ error: 'Failed to edit comment' });
+  }
+});
+
+// Delete a comment (its author or the trip owner). Comments with replies are blanked
+// instead, so the thread stays readable.
+router.delete('/:tripId/:commentId', authenticateToken, requireTripRole('viewer'), async (req, res) => {
+  try {
+    const { tripId, commentId } = req.params;
+
+    const existing = await prisma.activityComment.findFirst({
+      where: { id: commentId, tripId, deletedAt: null },
+      include: { _count: { select: { replies: true } } }
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    if (existing.authorId !== req.userId && req.tripRole !== 'owner') {
+      return res.status(403).json({ error: 'Only the author or the trip owner can delete this comment' });
+    }
+
+    if (existing._count.replies > 0) {
+      await prisma.activityComment.update({
+        where: { id: commentId },
+        data: { body: '', mentions: [], deletedAt: new Date() }
+      });
+    } else {
+      await prisma.activityComment.delete({ where: { id: commentId } });
+    }
+
+    publishTripEvent(tripId, 'comment.deleted', { id: commentId, activityId: existing.activityId }, { actorId: req.userId });
+
+    res.json({ message: 'Comment deleted' });
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    res.status(500).json({ error: 'Failed to delete comment' });
+  }
+});
+
+export default router;
@@ -0,0 +1,299 @@
+import express from 'express';
+import prisma from '../lib/prisma.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { getTripRole } from '../middleware/tripAccess.js';
+import { generate, generateStream, AI_FEATURES } from '../lib/ai.js';
+import { openEventStream, sendEvent } from '../lib/sse.js';
+import { chatInstruction, describeTrip, TRIP_CONTEXT_INCLUDE } from '../lib/chatContext.js';
+
+const router = express.Router();
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const MAX_MESSAGE_LENGTH = 4000;
+const MAX_TITLE_LENGTH = 100;
+const DEFAULT_TITLE_LENGTH = 60;
+const NO_REPLY = "I'm sorry, I couldn't generate a response. Please try again.";
+
+const CONVERSATION_INCLUDE = {
+  messages: { orderBy: { createdAt: 'asc' } },
+  plannedTrip: { select: { id: true, destinationName: true } }
+};
+
+// Helper: A bound trip with everything the assistant sees, and the user's role on it.
+// Null if the trip is gone or the user has no access (any more).
+async function loadBoundTrip(tripId, userId) {
+  const trip = await prisma.plannedTrip.findUnique({
+    where: { id: tripId },
+    include: TRIP_CONTEXT_INCLUDE
+  });
+
+  const role = getTripRole(trip, userId);
+  return role ? { trip, role } : null;
+}
+
+// Helper: Check a new message. Returns an error message, or null if it is fine.
+function messageError(message) {
+  if (typeof message !== 'string' || !message.trim()) return 'Message is required';
+  if (message.length > MAX_MESSAGE_LENGTH) return `Message must be at most ${MAX_MESSAGE_LENGTH} characters`;
+  return null;
+}
+
+// Helper: Title for a conversation created without one
+function defaultTitle(message, trip) {
+  if (message) {
+    const text = message.trim().replace(/\s+/g, ' ');
+    return text.length > DEFAULT_TITLE_LENGTH ? `${text.slice(0, DEFAULT_TITLE_LENGTH - 1)}…` : text;
+  }
+  return trip ? `Trip to ${trip.destinationName}` : 'New conversation';
+}
+
+// Helper: The Gemini request for the next reply: the whole conversation so far plus the
+// new message, with the user's profile and the bound trip in the system instruction
+async function buildRequest({ userId, history, message, bound }) {
+  const profile = await prisma.userProfile.findUnique({
+    where: { userId }
+  });
+  const tripContext = bound ? await describeTrip(bound.trip, bound.role) : null;
+
+  return {
+    contents: [
+      ...history.map(m => ({ role: m.role, parts: [{ text: m.content }] })),
+      { role: 'user', parts: [{ text: message }] }
+    ],
+    config: {
+      systemInstruction: chatInstruction(profile, { tripContext })
+    },
+    // Not cached: asking the same thing again should get a fresh reply
+    cache: false
+  };
+}
+
+// Helper: Rows for a question and its reply. They are saved together once the reply exists,
+// so a failed call leaves nothing behind and can simply be retried. The reply is stamped a
+// millisecond later to keep the order stable.
+function exchangeMessages(message, reply) {
+  const now = Date.now();
+  return [
+    { role: 'user', content: message, createdAt: new Date(now) },
+    { role: 'model', content: reply, createdAt: new Date(now + 1) }
+  ];
+}
+
+// Helper: Add a question and reply to a conversation. Returns { message, reply }.
+async function saveExchange(conversationId, message, reply) {
+  const conversation = await prisma.conversation.update({
+    where: { id: conversationId },
+    data: {
+      // Set explicitly: Prisma doesn't bump @updatedAt for a nested create alone
+      updatedAt: new Date(),
+      messages: { create: exchangeMessages(message, reply) }
+    },
+    include: {
+      messages: { orderBy: { createdAt: 'desc' }, take: 2 }
+    }
+  });
+
+  const [replyMessage, userMessage] = conversation.messages;
+  return { message: userMessage, reply: replyMessage };
+}
+
+// Helper: Load the conversation and bound trip for a new message, or send the error.
+// Returns null when a response was sent.
+async function prepareMessage(req, res) {
+  const error = messageError(req.body.message);
+  if (error) {
+    res.status(400).json({ error });
+    return null;
+  }
+
+  const conversation = await prisma.conversation.findFirst({
+    where: { id: req.params.id, userId: req.userId },
+    include: CONVERSATION_INCLUDE
+  });
+
+  if (!conversation) {
+    res.status(404).json({ error: 'Conversation not found' });
+    return null;
+  }
+
+  // Access is checked again for every message, so removed collaborators lose the trip context
+  const bound = conversation.plannedTripId ? await loadBoundTrip(conversation.plannedTripId, req.userId) : null;
+
+  const request = await buildRequest({ userId: req.userId, history: conversation.messages, message: req.body.message, bound });
+  return { conversation, request };
+}
+
+// List the user's conversations, most recently active first, with their last message.
+// ?limit= and ?before=<updatedAt> page through older ones.
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { before } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+
+    if (before && isNaN(new Date(before))) {
+      return res.status(400).json({ error: 'before must be a date' });
+    }
+
+    const conversations = await prisma.conversation.findMany({
+      where: {
+        userId: req.userId,
+        ...(before && { updatedAt: { lt: new Date(before) } })
+      },
+      orderBy: { updatedAt: 'desc' },
+      take: limit,
+      include: {
+        plannedTrip: { select: { id: true, destinationName: true } },
+        messages: { orderBy: { createdAt: 'desc' }, take: 1 },
+        _count: { select: { messages: true } }
+      }
+    });
+
+    res.json({
+      conversations: conversations.map(({ messages, _count, ...conversation }) => ({
+        ...conversation,
+        lastMessage: messages[0] || null,
+        messageCount: _count.messages
+      })),
+      nextBefore: conversations.length === limit ? conversations[conversations.length - 1].updatedAt : null
+    });
+  } catch (error) {
+    console.error('Get conversations error:', error);
+    res.status(500).json({ error: 'Failed to get conversations' });
+  }
+});
+
+// Start a conversation, optionally bound to a planned trip the user can access.
+// With a first `message`, the reply is generated and saved along with it.
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { title, plannedTripId, message } = req.body;
+
+    if (title !== undefined && (typeof title !== 'string' || !title.trim() || title.length > MAX_TITLE_LENGTH)) {
+      return res.status(400).json({ error: `Title must be 1-${MAX_TITLE_LENGTH} characters` });
+    }
+
+    if (message !== undefined) {
+      const error = messageError(message);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+    }
+
+    let bound = null;
+    if (plannedTripId) {
+      bound = await loadBoundTrip(plannedTripId, req.userId);
+      if (!bound) {
+        return res.status(404).json({ error: 'Trip not found or access denied' });
+      }
+    }
+
+    let messages = [];
+    if (message) {
+      const request = await buildRequest({ userId: req.userId, history: [], message, bound });
+      const response = await generate(AI_FEATURES.CHAT, request);
+      messages = exchangeMessages(message, response.text || NO_REPLY);
+    }
+
+    const conversation = await prisma.conversation.create({
+      data: {
+        userId: req.userId,
+        title: title?.trim() || defaultTitle(message, bound?.trip),
+        plannedTripId: plannedTripId || null,
+        messages: { create: messages }
+      },
+      include: CONVERSATION_INCLUDE
+    });
+
+    res.status(201).json(conversation);
+  } catch (error) {
+    console.error('Create conversation error:', error);
+    res.status(500).json({ error: error.message || 'Failed to create conversation' });
+  }
+});
+
+// Get a conversation with all its messages
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const conversation = await prisma.conversation.findFirst({
+      where: { id: req.params.id, userId: req.userId },
+      include: CONVERSATION_INCLUDE
+    });
+
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    res.json(conversation);
+  } catch (error) {
+    console.error('Get conversation error:', error);
+    res.status(500).json({ error: 'Failed to get conversation' });
+  }
+});
+
+// Continue a conversation. The whole history goes to Gemini with the new message.
+router.post('/:id/messages', authenticateToken, async (req, res) => {
+  try {
+    const prepared = await prepareMessage(req, res);
+    if (!prepared) return;
+
+    const response = await generate(AI_FEATURES.CHAT, prepared.request);
+
+    res.status(201).json(await saveExchange(prepared.conversation.id, req.body.message, response.text || NO_REPLY));
+  } catch (error) {
+    console.error('Send message error:', error);
+    res.status(500).json({ error: error.message || 'Failed to get response' });
+  }
+});
+
+// Continue a conversation with the reply streamed as Server-Sent Events: "token" events,
+// then "done" with the saved messages (the same body as POST /:id/messages), or "error"
+router.post('/:id/messages/stream', authenticateToken, async (req, res) => {
+  // Stop generating if the client goes away
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
+
+  try {
+    const prepared = await prepareMessage(req, res);
+    if (!prepared) return;
+
+    openEventStream(res);
+
+    let reply = '';
+    for await (const text of generateStream(AI_FEATURES.CHAT, { ...prepared.request, signal: controller.signal })) {
+      reply += text;
+      sendEvent(res, 'token', { text });
+    }
+
+    sendEvent(res, 'done', await saveExchange(prepared.conversation.id, req.body.message, reply || NO_REPLY));
+    res.end();
+  } catch (error) {
+    if (controller.signal.aborted) return;
+    console.error('Stream message error:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({ error: error.message || 'Failed to get response' });
+    }
+    sendEvent(res, 'error', { error: error.message || 'Failed to get response' });
+    res.end();
+  }
+});
+
+// Delete a conversation and its messages
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const { count } = await prisma.conversation.deleteMany({
+      where: { id: req.params.id, userId: req.userId }
+    });
+
+    if (count === 0) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    res.json({ message: 'Conversation deleted' });
+  } catch (error) {
+    console.error('Delete conversation error:', error);
+    res.status(500).json({ error: 'Failed to delete conversation' });
+  }
+});
+
+export default router;
@@ -1,4 +1,5 @@
 import express from 'express';
+import { geocodeAddress } from '../lib/geocode.js';
 
 const router = express.Router();
 
@@ -11,36 +12,12 @@ router.get('/geocode', async (req, res) => {
       return res.status(400).json({ error: 'Address is required' });
     }
 
-    const apiKey = process.env.GOOGLE_MAPS_API_KEY;
-    if (!apiKey || apiKey === 'YOUR_GOOGLE_MAPS_API_KEY_HERE') {
-      return res.status(500).json({ error: 'Google Maps API key not configured' });
+    const result = await geocodeAddress(address);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
     }
 
-    const url = `https://maps.googleapis.com/maps/api/geocode/json?address=${encodeURIComponent(address)}&key=${apiKey}`;
-    
-    const response = await fetch(url);
-    const data = await response.json();
-
-    if (data.status === 'OK' && data.results.length > 0) {
-      const result = data.results[0];
-      const { lat, lng } = result.geometry.location;
-      
-      // Get a short name from the formatted address
-      const shortName = result.address_components?.[0]?.long_name || 
-                        address.split(',')[0].trim();
-      
-      res.json({
-        name: shortName,
-        lat,
-        lng,
-        formattedAddress: result.formatted_address
-      });
-    } else if (data.status === 'ZERO_RESULTS') {
-      res.status(404).json({ error: 'Location not found' });
-    } else {
-      console.error('Geocoding error:', data.status, data.error_message);
-      res.status(500).json({ error: data.error_message || 'Geocoding failed' });
-    }
+    res.json(result);
   } catch (error) {
     console.error('Geocode error:', error);
     res.status(500).json({ error: 'Failed to geocode address' });
@@ -1,33 +1,64 @@
 import express from 'express';
-import { GoogleGenAI } from '@google/genai';
-import { randomUUID } from 'crypto';
+import { randomBytes, randomUUID } from 'crypto';
 import prisma from '../lib/prisma.js';
 import { authenticateToken } from '../middleware/auth.js';
+import { requireTripRole } from '../middleware/tripAccess.js';
+import { toBudgetCurrency, round2 } from '../lib/budgetMath.js';
+import { CurrencyError } from '../lib/currency.js';
+import { parseCalendarDate, resolveTripDates } from '../lib/tripDates.js';
+import { buildCalendar, tripEvents } from '../lib/ical.js';
+import { withActivityIds, createItineraryDayParser } from '../lib/itinerary.js';
+import { updateTripPlan, diffSnapshots, expectedVersion, requiredVersion, planConflictBody, PlanConflictError, REVISION_SOURCES } from '../lib/revisions.js';
+import { notify, notifyItineraryEdit, NOTIFICATION_TYPES } from '../lib/notifications.js';
+import { generate, generateStream, parseJson, AI_FEATURES } from '../lib/ai.js';
+import { openEventStream, sendEvent } from '../lib/sse.js';
 
 const router = express.Router();
-const MODEL_NAME = 'gemini-2.5-flash';
 
-// Generate itinerary for a destination
-router.post('/generate', authenticateToken, async (req, res) => {
-  try {
-    const { destination, days, startLocation, tripId, photoUrl, lat, lng } = req.body;
+// Helper: Subscription URLs for a calendar feed token (API_URL overrides the request host)
+function calendarFeedUrls(req, token) {
+  const base = process.env.API_URL || `${req.protocol}://${req.get('host')}`;
+  const url = `${base}/api/itinerary/calendar/${token}.ics`;
+  return { url, webcalUrl: url.replace(/^https?:/, 'webcal:') };
+}
 
-    if (!destination || !days || !startLocation) {
-      return res.status(400).json({ error: 'Missing required parameters' });
-    }
+// Helper: Send an iCalendar document
+function sendCalendar(res, filename, calendar) {
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Content-Disposition', `inline; filename="${filename}"`);
+  res.set('Cache-Control', 'no-cache');
+  res.send(calendar);
+}
 
-    // Get user profile for personalization
-    const profile = await prisma.userProfile.findUnique({
-      where: { userId: req.userId }
-    });
+// Helper: Check a generate request and load the user's profile.
+// Returns { dates, profile } or { status, error }.
+async function prepareItineraryRequest(req) {
+  const { destination, days, startLocation, startDate } = req.body;
 
-    if (!profile) {
-      return res.status(400).json({ error: 'Please complete your profile first' });
-    }
+  if (!destination || !days || !startLocation) {
+    return { status: 400, error: 'Missing required parameters' };
+  }
+
+  const dates = resolveTripDates({ startDate: startDate ?? null }, parseInt(days));
+  if (dates.error) {
+    return { status: 400, error: dates.error };
+  }
+
+  // Get user profile for personalization
+  const profile = await prisma.userProfile.findUnique({
+    where: { userId: req.userId }
+  });
+
+  if (!profile) {
+    return { status: 400, error: 'Please complete your profile first' };
+  }
 
-    const ai = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY });
+  return { dates, profile };
+}
 
-    const prompt = `Create a detailed ${days}-day travel itinerary for visiting ${destination}.
+// Helper: Prompt for an itinerary and packing list as JSON
+function itineraryPrompt({ destination, days, startLocation }, profile) {
+  return `Create a detailed ${days}-day travel itinerary for visiting ${destination}.
 
 User Profile:
 - Travel Style: ${profile.travelStyle}
@@ -83,57 +114,143 @@ IMPORTANT PACKING LIST GUIDELINES:
 7. Make items specific to ${destination} - e.g., "Warm waterproof jacket" for Iceland, "Light breathable clothes" for Thailand
 
 Make the itinerary specific to ${destination}, considering the user's interests and travel style.`;
+}
+
+// Helper: Save a generated itinerary as a PlannedTrip and build the response for it
+async function saveGeneratedTrip(req, dates, { itinerary, checklist }) {
+  const { destination, days, startLocation, tripId, photoUrl, lat, lng } = req.body;
+
+  const plannedTrip = await prisma.plannedTrip.create({
+    data: {
+      userId: req.userId,
+      tripId: tripId || null,
+      destinationName: destination,
+      destinationLat: lat || null,
+      destinationLng: lng || null,
+      photoUrl: photoUrl || null,
+      days: parseInt(days),
+      startDate: dates.startDate,
+      endDate: dates.endDate,
+      startLocation,
+      itinerary,
+      checklist: checklist || []
+    }
+  });
+
+  return {
+    id: plannedTrip.id,
+    destination,
+    days,
+    startDate: plannedTrip.startDate,
+    endDate: plannedTrip.endDate,
+    itinerary: plannedTrip.itinerary,
+    checklist,
+    version: plannedTrip.version
+  };
+}
+
+// Generate itinerary for a destination
+router.post('/generate', authenticateToken, async (req, res) => {
+  try {
+    const prepared = await prepareItineraryRequest(req);
+    if (prepared.error) {
+      return res.status(prepared.status).json({ error: prepared.error });
+    }
 
     const config = {
       responseMimeType: 'application/json',
     };
 
-    const response = await ai.models.generateContent({
-      model: MODEL_NAME,
-      contents: prompt,
+    const response = await generate(AI_FEATURES.ITINERARY, {
+      contents: itineraryPrompt(req.body, prepared.profile),
       config: config,
+      validate: parseJson
     });
 
     let result;
     try {
-      const text = response.text || '';
-      // Clean up potential markdown code blocks
-      const cleanedText = text.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-      result = JSON.parse(cleanedText);
+      result = parseJson(response.text);
     } catch (parseError) {
       console.error('Failed to parse itinerary response:', parseError);
       return res.status(500).json({ error: 'Failed to generate valid itinerary format' });
     }
 
     // Save the planned trip to database
-    const plannedTrip = await prisma.plannedTrip.create({
-      data: {
-        userId: req.userId,
-        tripId: tripId || null,
-        destinationName: destination,
-        destinationLat: lat || null,
-        destinationLng: lng || null,
-        photoUrl: photoUrl || null,
-        days: parseInt(days),
-        startLocation,
-        itinerary: result.itinerary || [],
-        checklist: result.checklist || []
-      }
-    });
-
-    res.status(201).json({
-      id: plannedTrip.id,
-      destination,
-      days,
-      itinerary: result.itinerary,
+    const body = await saveGeneratedTrip(req, prepared.dates, {
+      itinerary: withActivityIds(result.itinerary),
       checklist: result.checklist
     });
+
+    res.status(201).json(body);
   } catch (error) {
     console.error('Generate itinerary error:', error);
     res.status(500).json({ error: error.message || 'Failed to generate itinerary' });
   }
 });
 
+// Generate itinerary as Server-Sent Events: a "day" event for each day as soon as it is
+// complete, then "done" with the saved trip (the same body as POST /generate), or "error".
+// The trip is only saved once the whole response has arrived.
+router.post('/generate/stream', authenticateToken, async (req, res) => {
+  // Stop generating if the client goes away
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
+
+  try {
+    const prepared = await prepareItineraryRequest(req);
+    if (prepared.error) {
+      return res.status(prepared.status).json({ error: prepared.error });
+    }
+
+    openEventStream(res);
+
+    const parser = createItineraryDayParser();
+    const streamedDays = [];
+    let text = '';
+
+    for await (const piece of generateStream(AI_FEATURES.ITINERARY, {
+      contents: itineraryPrompt(req.body, prepared.profile),
+      config: { responseMimeType: 'application/json' },
+      validate: parseJson,
+      signal: controller.signal
+    })) {
+      text += piece;
+      parser.push(piece).forEach(day => {
+        const [dayWithIds] = withActivityIds([day]);
+        streamedDays.push(dayWithIds);
+        sendEvent(res, 'day', dayWithIds);
+      });
+    }
+
+    let result;
+    try {
+      result = parseJson(text);
+    } catch (parseError) {
+      console.error('Failed to parse itinerary response:', parseError);
+      sendEvent(res, 'error', { error: 'Failed to generate valid itinerary format' });
+      return res.end();
+    }
+
+    // Keep the days that were already sent, so their activity ids stay the same
+    const itinerary = streamedDays.length === (result.itinerary || []).length
+      ? streamedDays
+      : withActivityIds(result.itinerary);
+
+    const body = await saveGeneratedTrip(req, prepared.dates, { itinerary, checklist: result.checklist });
+
+    sendEvent(res, 'done', body);
+    res.end();
+  } catch (error) {
+    if (controller.signal.aborted) return;
+    console.error('Stream itinerary error:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({ error: error.message || 'Failed to generate itinerary' });
+    }
+    sendEvent(res, 'error', { error: error.message || 'Failed to generate itinerary' });
+    res.end();
+  }
+});
+
 // Get all saved trips for user
 router.get('/saved', authenticateToken, async (req, res) => {
   try {
@@ -145,6 +262,8 @@ router.get('/saved', authenticateToken, async (req, res) => {
         destinationName: true,
         photoUrl: true,
         days: true,
+        startDate: true,
+        endDate: true,
         startLocation: true,
         createdAt: true
       }
@@ -157,62 +276,109 @@ router.get('/saved', authenticateToken, async (req, res) => {
   }
 });
 
-// Get single saved trip with full details (owner or collaborator)
-router.get('/:id', authenticateToken, async (req, res) => {
+// Get the user's calendar feed URL (null until enabled)
+router.get('/calendar-feed', authenticateToken, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.userId },
+      select: { calendarFeedToken: true }
+    });
+
+    res.json({
+      enabled: !!user?.calendarFeedToken,
+      ...(user?.calendarFeedToken ? calendarFeedUrls(req, user.calendarFeedToken) : { url: null, webcalUrl: null })
+    });
+  } catch (error) {
+    console.error('Get calendar feed error:', error);
+    res.status(500).json({ error: 'Failed to get calendar feed' });
+  }
+});
+
+// Enable the calendar feed, or rotate its secret so old URLs stop working
+router.post('/calendar-feed', authenticateToken, async (req, res) => {
+  try {
+    const token = randomBytes(24).toString('hex');
+
+    await prisma.user.update({
+      where: { id: req.userId },
+      data: { calendarFeedToken: token }
+    });
+
+    res.json({ enabled: true, ...calendarFeedUrls(req, token) });
+  } catch (error) {
+    console.error('Create calendar feed error:', error);
+    res.status(500).json({ error: 'Failed to create calendar feed' });
+  }
+});
+
+// Disable the calendar feed
+router.delete('/calendar-feed', authenticateToken, async (req, res) => {
+  try {
+    await prisma.user.update({
+      where: { id: req.userId },
+      data: { calendarFeedToken: null }
+    });
+
+    res.json({ enabled: false });
+  } catch (error) {
+    console.error('Disable calendar feed error:', error);
+    res.status(500).json({ error: 'Failed to disable calendar feed' });
+  }
+});
+
+// Subscribable feed of every dated trip the user owns or collaborates on (secret token, no auth header)
+router.get('/calendar/:token.ics', async (req, res) => {
   try {
-    // First check if user is owner
-    let trip = await prisma.plannedTrip.findFirst({
+    const user = await prisma.user.findUnique({
+      where: { calendarFeedToken: req.params.token },
+      select: { id: true, name: true }
+    });
+
+    if (!user) {
+      return res.status(404).json({ error: 'Calendar feed not found' });
+    }
+
+    const trips = await prisma.plannedTrip.findMany({
       where: {
-        id: req.params.id,
-        userId: req.userId
+        startDate: { not: null },
+        OR: [
+          { userId: user.id },
+          { collaborators: { some: { userId: user.id, status: 'accepted' } } }
+        ]
       },
+      orderBy: { startDate: 'asc' }
+    });
+
+    const calendar = buildCalendar('WanderGenius Trips', trips.flatMap(tripEvents));
+    sendCalendar(res, 'wandergenius.ics', calendar);
+  } catch (error) {
+    console.error('Calendar feed error:', error);
+    res.status(500).json({ error: 'Failed to build calendar feed' });
+  }
+});
+
+// Get single saved trip with full details (owner or collaborator)
+router.get('/:id', authenticateToken, requireTripRole('viewer', { param: 'id' }), async (req, res) => {
+  try {
+    const trip = await prisma.plannedTrip.findUnique({
+      where: { id: req.params.id },
       include: {
         collaborators: {
           include: {
             user: { select: { id: true, name: true, email: true } }
           }
-        }
-      }
-    });
-
-    let userRole = 'owner';
-
-    // If not owner, check if user is a collaborator
-    if (!trip) {
-      trip = await prisma.plannedTrip.findFirst({
-        where: {
-          id: req.params.id,
-          collaborators: {
-            some: {
-              userId: req.userId,
-              status: 'accepted'
-            }
-          }
         },
-        include: {
-          collaborators: {
-            include: {
-              user: { select: { id: true, name: true, email: true } }
-            }
-          },
-          user: { select: { id: true, name: true, email: true } }
-        }
-      });
-      
-      if (trip) {
-        const collaborator = trip.collaborators.find(c => c.userId === req.userId);
-        userRole = collaborator?.role || 'viewer';
+        user: { select: { id: true, name: true, email: true } }
       }
-    }
-
-    if (!trip) {
-      return res.status(404).json({ error: 'Trip not found' });
-    }
+    });
 
+    // The plan version, for If-Match on later writes. Not for caching: collaborators and
+    // other details can change without a new version.
+    res.set({ ETag: `"${trip.version}"`, 'Cache-Control': 'no-store' });
     res.json({
       ...trip,
-      userRole,
-      isOwner: trip.userId === req.userId
+      userRole: req.tripRole,
+      isOwner: req.tripRole === 'owner'
     });
   } catch (error) {
     console.error('Get trip error:', error);
@@ -221,52 +387,213 @@ router.get('/:id', authenticateToken, async (req, res) => {
 });
 
 // Update checklist item
-router.patch('/:id/checklist', authenticateToken, async (req, res) => {
+router.patch('/:id/checklist', authenticateToken, requireTripRole('editor', { param: 'id' }), async (req, res) => {
   try {
     const { itemId, completed } = req.body;
-
-    const trip = await prisma.plannedTrip.findFirst({
-      where: {
-        id: req.params.id,
-        userId: req.userId
-      }
-    });
-
-    if (!trip) {
-      return res.status(404).json({ error: 'Trip not found' });
+    const { version, error: versionError } = expectedVersion(req);
+    if (versionError) {
+      return res.status(400).json({ error: versionError });
     }
 
     // Update the checklist item
-    const checklist = trip.checklist.map(item => 
+    const checklist = req.trip.checklist.map(item => 
       item.id === itemId ? { ...item, completed } : item
     );
 
-    const updatedTrip = await prisma.plannedTrip.update({
-      where: { id: req.params.id },
-      data: { checklist }
+    const updatedTrip = await updateTripPlan(req.trip, { checklist }, {
+      authorId: req.userId,
+      source: REVISION_SOURCES.CHECKLIST_UPDATE,
+      expectedVersion: version
     });
 
-    res.json({ checklist: updatedTrip.checklist });
+    res.json({ checklist: updatedTrip.checklist, version: updatedTrip.version });
   } catch (error) {
+    if (error instanceof PlanConflictError) {
+      return res.status(409).json(await planConflictBody(req.trip.id, error));
+    }
     console.error('Update checklist error:', error);
     res.status(500).json({ error: 'Failed to update checklist' });
   }
 });
 
-// Delete saved trip
-router.delete('/:id', authenticateToken, async (req, res) => {
+// Helper: One revision of a trip, or the trip's current state for 'current'
+async function getSnapshot(trip, revisionId) {
+  if (revisionId === 'current') {
+    return { id: 'current', itinerary: trip.itinerary, checklist: trip.checklist, createdAt: trip.updatedAt };
+  }
+  return prisma.itineraryRevision.findFirst({
+    where: { id: revisionId, tripId: trip.id }
+  });
+}
+
+// List itinerary/checklist revisions, newest first (snapshots are left out)
+router.get('/:id/revisions', authenticateToken, requireTripRole('viewer', { param: 'id' }), async (req, res) => {
   try {
-    const trip = await prisma.plannedTrip.findFirst({
-      where: {
-        id: req.params.id,
-        userId: req.userId
+    const revisions = await prisma.itineraryRevision.findMany({
+      where: { tripId: req.params.id },
+      orderBy: { createdAt: 'desc' },
+      select: {
+        id: true,
+        source: true,
+        createdAt: true,
+        author: { select: { id: true, name: true } }
       }
     });
 
-    if (!trip) {
-      return res.status(404).json({ error: 'Trip not found' });
+    res.json({ revisions });
+  } catch (error) {
+    console.error('Get revisions error:', error);
+    res.status(500).json({ error: 'Failed to get revisions' });
+  }
+});
+
+// Compare two revisions (?from=<revisionId>&to=<revisionId|current>, `to` defaults to current)
+router.get('/:id/revisions/diff', authenticateToken, requireTripRole('viewer', { param: 'id' }), async (req, res) => {
+  try {
+    const { from, to = 'current' } = req.query;
+
+    if (!from) {
+      return res.status(400).json({ error: 'from revision is required' });
     }
 
+    const [fromSnapshot, toSnapshot] = await Promise.all([
+      getSnapshot(req.trip, from),
+      getSnapshot(req.trip, to)
+    ]);
+
+    if (!fromSnapshot || !toSnapshot) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    res.json({
+      from: { id: fromSnapshot.id, createdAt: fromSnapshot.createdAt },
+      to: { id: toSnapshot.id, createdAt: toSnapshot.createdAt },
+      diff: diffSnapshots(fromSnapshot, toSnapshot)
+    });
+  } catch (error) {
+    console.error('Diff revisions error:', error);
+    res.status(500).json({ error: 'Failed to compare revisions' });
+  }
+});
+
+// Get one revision with its full itinerary and checklist
+router.get('/:id/revisions/:revisionId', authenticateToken, requireTripRole('viewer', { param: 'id' }), async (req, res) => {
+  try {
+    const revision = await prisma.itineraryRevision.findFirst({
+      where: { id: req.params.revisionId, tripId: req.params.id },
+      include: { author: { select: { id: true, name: true } } }
+    });
+
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    res.json({ revision });
+  } catch (error) {
+    console.error('Get revision error:', error);
+    res.status(500).json({ error: 'Failed to get revision' });
+  }
+});
+
+// Restore the itinerary and checklist of a revision (saved as a new revision)
+router.post('/:id/revisions/:revisionId/restore', authenticateToken, requireTripRole('editor', { param: 'id' }), async (req, res) => {
+  try {
+    const { version, status: versionStatus, error: versionError } = requiredVersion(req);
+    if (versionError) {
+      return res.status(versionStatus).json({ error: versionError });
+    }
+
+    const revision = await getSnapshot(req.trip, req.params.revisionId);
+
+    if (!revision || revision.id === 'current') {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    // Photos would lose their day if the restored itinerary is shorter
+    const days = revision.itinerary.length;
+    const photoCount = await prisma.tripPhoto.count({
+      where: { tripId: req.params.id, day: { gt: days } }
+    });
+    if (photoCount > 0) {
+      return res.status(409).json({ error: `Move or delete the photos after day ${days} before restoring this revision` });
+    }
+
+    const updatedTrip = await updateTripPlan(req.trip, {
+      itinerary: revision.itinerary,
+      checklist: revision.checklist
+    }, {
+      authorId: req.userId,
+      source: REVISION_SOURCES.RESTORE,
+      expectedVersion: version
+    });
+    await notifyItineraryEdit(req.trip, req.userId);
+
+    res.json({
+      itinerary: updatedTrip.itinerary,
+      checklist: updatedTrip.checklist,
+      days: updatedTrip.days,
+      version: updatedTrip.version
+    });
+  } catch (error) {
+    if (error instanceof PlanConflictError) {
+      return res.status(409).json(await planConflictBody(req.trip.id, error));
+    }
+    console.error('Restore revision error:', error);
+    res.status(500).json({ error: 'Failed to restore revision' });
+  }
+});
+
+// Download a trip as an iCalendar file. Trips without dates need ?start=YYYY-MM-DD.
+router.get('/:id/calendar.ics', authenticateToken, requireTripRole('viewer', { param: 'id' }), async (req, res) => {
+  try {
+    const trip = req.trip;
+    const startDate = req.query.start ? parseCalendarDate(req.query.start) : trip.startDate;
+
+    if (!startDate) {
+      return res.status(400).json({ error: 'Set the trip dates or pass ?start=YYYY-MM-DD' });
+    }
+
+    const calendar = buildCalendar(`Trip to ${trip.destinationName}`, tripEvents({ ...trip, startDate }));
+    sendCalendar(res, `trip-${trip.id}.ics`, calendar);
+  } catch (error) {
+    console.error('Trip calendar error:', error);
+    res.status(500).json({ error: 'Failed to build trip calendar' });
+  }
+});
+
+// Set or clear the trip's calendar dates
+router.patch('/:id/dates', authenticateToken, requireTripRole('editor', { param: 'id' }), async (req, res) => {
+  try {
+    const { startDate, endDate } = req.body;
+
+    if (startDate === undefined) {
+      return res.status(400).json({ error: 'startDate is required (null clears the dates)' });
+    }
+
+    const dates = resolveTripDates({ startDate, endDate }, req.trip.days);
+    if (dates.error) {
+      return res.status(400).json({ error: dates.error });
+    }
+
+    const updatedTrip = await prisma.plannedTrip.update({
+      where: { id: req.params.id },
+      data: dates
+    });
+
+    res.json({
+      startDate: updatedTrip.startDate,
+      endDate: updatedTrip.endDate,
+      days: updatedTrip.days
+    });
+  } catch (error) {
+    console.error('Update trip dates error:', error);
+    res.status(500).json({ error: 'Failed to update trip dates' });
+  }
+});
+
+// Delete saved trip
+router.delete('/:id', authenticateToken, requireTripRole('owner', { param: 'id' }), async (req, res) => {
+  try {
     await prisma.plannedTrip.delete({
       where: { id: req.params.id }
     });
@@ -279,21 +606,10 @@ router.delete('/:id', authenticateToken, async (req, res) => {
 });
 
 // Toggle trip visibility
-router.patch('/:id/share', authenticateToken, async (req, res) => {
+router.patch('/:id/share', authenticateToken, requireTripRole('owner', { param: 'id' }), async (req, res) => {
   try {
     const { isPublic } = req.body;
-    
-    // Verify ownership
-    const trip = await prisma.plannedTrip.findFirst({
-      where: {
-        id: req.params.id,
-        userId: req.userId
-      }
-    });
-
-    if (!trip) {
-      return res.status(404).json({ error: 'Trip not found' });
-    }
+    const trip = req.trip;
 
     const updateData = { isPublic };
 
@@ -317,6 +633,23 @@ router.patch('/:id/share', authenticateToken, async (req, res) => {
   }
 });
 
+// Helper: Minimal budget info for the public view. Left out when an expense's currency
+// has no exchange rate any more, rather than failing the whole page.
+function publicBudgetStats(budget) {
+  if (!budget) return null;
+
+  try {
+    return {
+      total: budget.totalBudget,
+      currency: budget.currency,
+      spent: round2(budget.expenses.reduce((sum, e) => sum + toBudgetCurrency(e.amount, e, budget), 0))
+    };
+  } catch (error) {
+    if (error instanceof CurrencyError) return null;
+    throw error;
+  }
+}
+
 // Get public trip (no auth required)
 router.get('/shared/:shareId', async (req, res) => {
   try {
@@ -326,8 +659,9 @@ router.get('/shared/:shareId', async (req, res) => {
         budget: {
           select: {
             totalBudget: true,
+            currency: true,
             expenses: {
-              select: { amount: true } // Only show total spent, not details
+              select: { amount: true, currency: true } // Only show total spent, not details
             }
           }
         }
@@ -346,10 +680,7 @@ router.get('/shared/:shareId', async (req, res) => {
       itinerary: trip.itinerary,
       photoUrl: trip.photoUrl,
       // Minimal budget info if available
-      budgetStats: trip.budget ? {
-        total: trip.budget.totalBudget,
-        spent: trip.budget.expenses.reduce((sum, e) => sum + e.amount, 0)
-      } : null
+      budgetStats: publicBudgetStats(trip.budget)
     };
 
     res.json(publicData);
@@ -395,6 +726,13 @@ router.post('/import/:shareId', authenticateToken, async (req, res) => {
       }
     });
 
+    await notify(sourceTrip.userId, NOTIFICATION_TYPES.TRIP_IMPORTED, {
+      title: `Your trip to ${sourceTrip.destinationName} was imported by another traveller`,
+      link: `/trips/${sourceTrip.id}`,
+      tripId: sourceTrip.id,
+      actorId: req.userId
+    });
+
     res.status(201).json({
       tripId: newTrip.id,
       message: 'Trip imported successfully! You can now customize it and invite your friends.'
@@ -0,0 +1,131 @@
+import express from 'express';
+import prisma from '../lib/prisma.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { getNotificationPreferences, isNotificationType } from '../lib/notifications.js';
+
+const router = express.Router();
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// List notifications, newest first. ?unread=true for unread only, ?limit= and ?before=<createdAt>
+// to page through older ones.
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { unread, before } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+
+    if (before && isNaN(new Date(before))) {
+      return res.status(400).json({ error: 'before must be a date' });
+    }
+
+    const notifications = await prisma.notification.findMany({
+      where: {
+        userId: req.userId,
+        ...(unread === 'true' && { readAt: null }),
+        ...(before && { createdAt: { lt: new Date(before) } })
+      },
+      orderBy: { createdAt: 'desc' },
+      take: limit,
+      include: {
+        actor: { select: { id: true, name: true } }
+      }
+    });
+
+    const unreadCount = await prisma.notification.count({
+      where: { userId: req.userId, readAt: null }
+    });
+
+    res.json({
+      notifications,
+      unreadCount,
+      nextBefore: notifications.length === limit ? notifications[notifications.length - 1].createdAt : null
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({ error: 'Failed to get notifications' });
+  }
+});
+
+// Get per-type preferences
+router.get('/preferences', authenticateToken, async (req, res) => {
+  try {
+    res.json(await getNotificationPreferences(req.userId));
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({ error: 'Failed to get notification preferences' });
+  }
+});
+
+// Turn notification types on or off, e.g. { "badge_earned": false }
+router.patch('/preferences', authenticateToken, async (req, res) => {
+  try {
+    const changes = Object.entries(req.body || {});
+
+    if (changes.length === 0) {
+      return res.status(400).json({ error: 'No preferences given' });
+    }
+
+    for (const [type, enabled] of changes) {
+      if (!isNotificationType(type)) {
+        return res.status(400).json({ error: `Unknown notification type: ${type}` });
+      }
+      if (typeof enabled !== 'boolean') {
+        return res.status(400).json({ error: `Preference for ${type} must be true or false` });
+      }
+    }
+
+    await prisma.$transaction(changes.map(([type, enabled]) => prisma.notificationPreference.upsert({
+      where: { userId_type: { userId: req.userId, type } },
+      update: { enabled },
+      create: { userId: req.userId, type, enabled }
+    })));
+
+    res.json(await getNotificationPreferences(req.userId));
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({ error: 'Failed to update notification preferences' });
+  }
+});
+
+// Mark all notifications as read
+router.post('/read-all', authenticateToken, async (req, res) => {
+  try {
+    const { count } = await prisma.notification.updateMany({
+      where: { userId: req.userId, readAt: null },
+      data: { readAt: new Date() }
+    });
+
+    res.json({ message: 'Notifications marked as read', count });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({ error: 'Failed to mark notifications as read' });
+  }
+});
+
+// Mark one notification as read
+router.post('/:id/read', authenticateToken, async (req, res) => {
+  try {
+    const notification = await prisma.notification.findFirst({
+      where: { id: req.params.id, userId: req.userId }
+    });
+
+    if (!notification) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    const updated = notification.readAt
+      ? notification
+      : await prisma.notification.update({
+        where: { id: notification.id },
+        data: { readAt: new Date() }
+      });
+
+    res.json(updated);
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({ error: 'Failed to mark notification as read' });
+  }
+});
+
+export default router;
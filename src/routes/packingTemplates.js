@@ -1,6 +1,8 @@
 import express from 'express';
 import prisma from '../lib/prisma.js';
 import { authenticateToken } from '../middleware/auth.js';
+import { requireTripRole } from '../middleware/tripAccess.js';
+import { updateTripPlan, expectedVersion, planConflictBody, PlanConflictError, REVISION_SOURCES } from '../lib/revisions.js';
 
 const router = express.Router();
 
@@ -88,8 +90,13 @@ router.delete('/:id', authenticateToken, async (req, res) => {
 });
 
 // Apply a template to a trip
-router.post('/:id/apply/:tripId', authenticateToken, async (req, res) => {
+router.post('/:id/apply/:tripId', authenticateToken, requireTripRole('editor'), async (req, res) => {
   try {
+    const { version, error: versionError } = expectedVersion(req);
+    if (versionError) {
+      return res.status(400).json({ error: versionError });
+    }
+
     // Verify template ownership
     const template = await prisma.packingTemplate.findFirst({
       where: {
@@ -102,18 +109,6 @@ router.post('/:id/apply/:tripId', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'Template not found' });
     }
 
-    // Verify trip ownership
-    const trip = await prisma.plannedTrip.findFirst({
-      where: {
-        id: req.params.tripId,
-        userId: req.userId
-      }
-    });
-
-    if (!trip) {
-      return res.status(404).json({ error: 'Trip not found' });
-    }
-
     // Apply template items to trip (reset completed status)
     const newChecklist = template.items.map((item, index) => ({
       ...item,
@@ -121,16 +116,21 @@ router.post('/:id/apply/:tripId', authenticateToken, async (req, res) => {
       completed: false
     }));
 
-    const updatedTrip = await prisma.plannedTrip.update({
-      where: { id: req.params.tripId },
-      data: { checklist: newChecklist }
+    const updatedTrip = await updateTripPlan(req.trip, { checklist: newChecklist }, {
+      authorId: req.userId,
+      source: REVISION_SOURCES.PACKING_TEMPLATE,
+      expectedVersion: version
     });
 
     res.json({ 
       message: 'Template applied successfully',
-      checklist: updatedTrip.checklist 
+      checklist: updatedTrip.checklist,
+      version: updatedTrip.version
     });
   } catch (error) {
+    if (error instanceof PlanConflictError) {
+      return res.status(409).json(await planConflictBody(req.trip.id, error));
+    }
     console.error('Apply packing template error:', error);
     res.status(500).json({ error: 'Failed to apply packing template' });
   }
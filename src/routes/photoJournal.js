@@ -1,29 +1,17 @@
 import express from 'express';
 import prisma from '../lib/prisma.js';
 import { authenticateToken, optionalAuth } from '../middleware/auth.js';
+import { requireTripRole } from '../middleware/tripAccess.js';
+import { tripDayDates, tripDayForDate } from '../lib/tripDates.js';
+import { publishTripEvent } from '../lib/tripChannel.js';
 
 const router = express.Router();
 
 // Get all photos for a trip (organized by day)
-router.get('/:tripId', authenticateToken, async (req, res) => {
+router.get('/:tripId', authenticateToken, requireTripRole('viewer'), async (req, res) => {
   try {
     const { tripId } = req.params;
-    const userId = req.userId;
-
-    // Check if user has access to this trip
-    const trip = await prisma.plannedTrip.findFirst({
-      where: {
-        id: tripId,
-        OR: [
-          { userId },
-          { collaborators: { some: { userId, status: 'accepted' } } }
-        ]
-      }
-    });
-
-    if (!trip) {
-      return res.status(404).json({ error: 'Trip not found or access denied' });
-    }
+    const trip = req.trip;
 
     const photos = await prisma.tripPhoto.findMany({
       where: { tripId },
@@ -50,6 +38,7 @@ router.get('/:tripId', authenticateToken, async (req, res) => {
       tripId,
       destinationName: trip.destinationName,
       days: trip.days,
+      dayDates: tripDayDates(trip),
       totalPhotos: photos.length,
       photosByDay
     });
@@ -126,45 +115,42 @@ router.get('/album/:shareId', optionalAuth, async (req, res) => {
 });
 
 // Add a photo to a trip day
-router.post('/:tripId', authenticateToken, async (req, res) => {
+router.post('/:tripId', authenticateToken, requireTripRole('editor'), async (req, res) => {
   try {
     const { tripId } = req.params;
-    const userId = req.userId;
     const { day, imageUrl, thumbnailUrl, caption, location, latitude, longitude, takenAt } = req.body;
 
-    if (!day || !imageUrl) {
-      return res.status(400).json({ error: 'Day and imageUrl are required' });
-    }
+    const trip = req.trip;
 
-    // Check if user has access to this trip (owner or collaborator with editor role)
-    const trip = await prisma.plannedTrip.findFirst({
-      where: {
-        id: tripId,
-        OR: [
-          { userId },
-          { collaborators: { some: { userId, status: 'accepted', role: { in: ['owner', 'editor'] } } } }
-        ]
-      }
-    });
+    // Without an explicit day, place the photo on the trip day it was taken
+    const photoDay = day || (takenAt ? tripDayForDate(trip, takenAt) : null);
 
-    if (!trip) {
-      return res.status(404).json({ error: 'Trip not found or access denied' });
+    if (!imageUrl) {
+      return res.status(400).json({ error: 'imageUrl is required' });
+    }
+
+    if (!photoDay) {
+      return res.status(400).json({
+        error: trip.startDate
+          ? 'Day is required when takenAt is missing or outside the trip dates'
+          : 'Day is required (set the trip dates to assign days from takenAt)'
+      });
     }
 
-    if (day < 1 || day > trip.days) {
+    if (photoDay < 1 || photoDay > trip.days) {
       return res.status(400).json({ error: `Day must be between 1 and ${trip.days}` });
     }
 
     // Get the next sort order for this day
     const maxOrder = await prisma.tripPhoto.aggregate({
-      where: { tripId, day },
+      where: { tripId, day: photoDay },
       _max: { sortOrder: true }
     });
 
     const photo = await prisma.tripPhoto.create({
       data: {
         tripId,
-        day,
+        day: photoDay,
         imageUrl,
         thumbnailUrl,
         caption,
@@ -176,6 +162,8 @@ router.post('/:tripId', authenticateToken, async (req, res) => {
       }
     });
 
+    publishTripEvent(tripId, 'photo.added', photo, { actorId: req.userId });
+
     res.status(201).json(photo);
   } catch (error) {
     console.error('Add photo error:', error);
@@ -184,26 +172,11 @@ router.post('/:tripId', authenticateToken, async (req, res) => {
 });
 
 // Update a photo (caption, location, etc.)
-router.patch('/:tripId/photo/:photoId', authenticateToken, async (req, res) => {
+router.patch('/:tripId/photo/:photoId', authenticateToken, requireTripRole('editor'), async (req, res) => {
   try {
     const { tripId, photoId } = req.params;
-    const userId = req.userId;
     const { caption, location, day, sortOrder } = req.body;
-
-    // Check access
-    const trip = await prisma.plannedTrip.findFirst({
-      where: {
-        id: tripId,
-        OR: [
-          { userId },
-          { collaborators: { some: { userId, status: 'accepted', role: { in: ['owner', 'editor'] } } } }
-        ]
-      }
-    });
-
-    if (!trip) {
-      return res.status(404).json({ error: 'Trip not found or access denied' });
-    }
+    const trip = req.trip;
 
     // Verify photo belongs to this trip
     const existingPhoto = await prisma.tripPhoto.findFirst({
@@ -225,6 +198,8 @@ router.patch('/:tripId/photo/:photoId', authenticateToken, async (req, res) => {
       data: updateData
     });
 
+    publishTripEvent(tripId, 'photo.updated', photo, { actorId: req.userId });
+
     res.json(photo);
   } catch (error) {
     console.error('Update photo error:', error);
@@ -233,25 +208,9 @@ router.patch('/:tripId/photo/:photoId', authenticateToken, async (req, res) => {
 });
 
 // Delete a photo
-router.delete('/:tripId/photo/:photoId', authenticateToken, async (req, res) => {
+router.delete('/:tripId/photo/:photoId', authenticateToken, requireTripRole('editor'), async (req, res) => {
   try {
     const { tripId, photoId } = req.params;
-    const userId = req.userId;
-
-    // Check access
-    const trip = await prisma.plannedTrip.findFirst({
-      where: {
-        id: tripId,
-        OR: [
-          { userId },
-          { collaborators: { some: { userId, status: 'accepted', role: { in: ['owner', 'editor'] } } } }
-        ]
-      }
-    });
-
-    if (!trip) {
-      return res.status(404).json({ error: 'Trip not found or access denied' });
-    }
 
     // Verify photo belongs to this trip
     const existingPhoto = await prisma.tripPhoto.findFirst({
@@ -266,6 +225,8 @@ router.delete('/:tripId/photo/:photoId', authenticateToken, async (req, res) =>
       where: { id: photoId }
     });
 
+    publishTripEvent(tripId, 'photo.deleted', { id: photoId }, { actorId: req.userId });
+
     res.json({ message: 'Photo deleted successfully' });
   } catch (error) {
     console.error('Delete photo error:', error);
@@ -274,31 +235,15 @@ router.delete('/:tripId/photo/:photoId', authenticateToken, async (req, res) =>
 });
 
 // Reorder photos within a day
-router.patch('/:tripId/reorder', authenticateToken, async (req, res) => {
+router.patch('/:tripId/reorder', authenticateToken, requireTripRole('editor'), async (req, res) => {
   try {
     const { tripId } = req.params;
-    const userId = req.userId;
     const { day, photoIds } = req.body; // photoIds in desired order
 
     if (!day || !Array.isArray(photoIds)) {
       return res.status(400).json({ error: 'Day and photoIds array are required' });
     }
 
-    // Check access
-    const trip = await prisma.plannedTrip.findFirst({
-      where: {
-        id: tripId,
-        OR: [
-          { userId },
-          { collaborators: { some: { userId, status: 'accepted', role: { in: ['owner', 'editor'] } } } }
-        ]
-      }
-    });
-
-    if (!trip) {
-      return res.status(404).json({ error: 'Trip not found or access denied' });
-    }
-
     // Update sort order for each photo
     await Promise.all(
       photoIds.map((photoId, index) =>
@@ -317,25 +262,10 @@ router.patch('/:tripId/reorder', authenticateToken, async (req, res) => {
 });
 
 // Get trip photo stats
-router.get('/:tripId/stats', authenticateToken, async (req, res) => {
+router.get('/:tripId/stats', authenticateToken, requireTripRole('viewer'), async (req, res) => {
   try {
     const { tripId } = req.params;
-    const userId = req.userId;
-
-    // Check access
-    const trip = await prisma.plannedTrip.findFirst({
-      where: {
-        id: tripId,
-        OR: [
-          { userId },
-          { collaborators: { some: { userId, status: 'accepted' } } }
-        ]
-      }
-    });
-
-    if (!trip) {
-      return res.status(404).json({ error: 'Trip not found or access denied' });
-    }
+    const trip = req.trip;
 
     const stats = await prisma.tripPhoto.groupBy({
       by: ['day'],
@@ -368,28 +298,15 @@ router.get('/:tripId/stats', authenticateToken, async (req, res) => {
 });
 
 // Toggle photo album public visibility
-router.patch('/:tripId/share', authenticateToken, async (req, res) => {
+router.patch('/:tripId/share', authenticateToken, requireTripRole('owner'), async (req, res) => {
   try {
     const { tripId } = req.params;
-    const userId = req.userId;
     const { isPhotoAlbumPublic } = req.body;
 
     if (typeof isPhotoAlbumPublic !== 'boolean') {
       return res.status(400).json({ error: 'isPhotoAlbumPublic must be a boolean' });
     }
 
-    // Only trip owner can toggle this
-    const trip = await prisma.plannedTrip.findFirst({
-      where: {
-        id: tripId,
-        userId
-      }
-    });
-
-    if (!trip) {
-      return res.status(404).json({ error: 'Trip not found or you are not the owner' });
-    }
-
     const updatedTrip = await prisma.plannedTrip.update({
       where: { id: tripId },
       data: { isPhotoAlbumPublic },
@@ -1,6 +1,8 @@
 import express from 'express';
 import prisma from '../lib/prisma.js';
 import { authenticateToken } from '../middleware/auth.js';
+import { requireTripRole } from '../middleware/tripAccess.js';
+import { notify, NOTIFICATION_TYPES } from '../lib/notifications.js';
 
 const router = express.Router();
 
@@ -86,7 +88,7 @@ router.get('/recommended', async (req, res) => {
 });
 
 // Create or update a review
-router.post('/:tripId', authenticateToken, async (req, res) => {
+router.post('/:tripId', authenticateToken, requireTripRole('viewer'), async (req, res) => {
   try {
     const { tripId } = req.params;
     const { budgetRating, locationRating, activitiesRating, overallRating, comment } = req.body;
@@ -99,21 +101,11 @@ router.post('/:tripId', authenticateToken, async (req, res) => {
       }
     }
 
-    // Verify trip exists and user has access
-    const trip = await prisma.plannedTrip.findFirst({
-      where: {
-        id: tripId,
-        OR: [
-          { userId: req.userId },
-          { collaborators: { some: { userId: req.userId, status: 'accepted' } } }
-        ]
-      }
+    const existing = await prisma.tripReview.findUnique({
+      where: { tripId_userId: { tripId, userId: req.userId } },
+      select: { id: true }
     });
 
-    if (!trip) {
-      return res.status(404).json({ error: 'Trip not found or access denied' });
-    }
-
     // Upsert review (create or update)
     const review = await prisma.tripReview.upsert({
       where: {
@@ -145,6 +137,18 @@ router.post('/:tripId', authenticateToken, async (req, res) => {
       }
     });
 
+    // Let the owner know about new reviews (not edits)
+    if (!existing) {
+      await notify(req.trip.userId, NOTIFICATION_TYPES.TRIP_REVIEWED, {
+        title: `${review.user.name || review.user.email} reviewed your trip to ${req.trip.destinationName}`,
+        body: `${overallRating}/5 overall${comment ? `: ${comment}` : ''}`,
+        link: `/trips/${tripId}`,
+        tripId,
+        actorId: req.userId,
+        data: { reviewId: review.id, overallRating }
+      });
+    }
+
     res.json(review);
   } catch (error) {
     console.error('Create review error:', error);
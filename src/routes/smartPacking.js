@@ -1,54 +1,13 @@
 import express from 'express';
-import { GoogleGenAI } from '@google/genai';
 import prisma from '../lib/prisma.js';
 import { authenticateToken } from '../middleware/auth.js';
+import { requireTripRole } from '../middleware/tripAccess.js';
+import { getDailyForecast, matchForecastToTrip } from '../lib/weather.js';
+import { toDateString, tripEndDate } from '../lib/tripDates.js';
+import { updateTripPlan, expectedVersion, requiredVersion, planConflictBody, PlanConflictError, REVISION_SOURCES } from '../lib/revisions.js';
+import { generate, parseJson, AI_FEATURES } from '../lib/ai.js';
 
 const router = express.Router();
-const MODEL_NAME = 'gemini-2.5-flash';
-
-// Get weather forecast for a destination
-async function getWeatherForecast(lat, lng) {
-  const apiKey = process.env.OPENWEATHERMAP_API_KEY;
-  if (!apiKey || !lat || !lng) return null;
-
-  try {
-    const forecastUrl = `https://api.openweathermap.org/data/2.5/forecast?lat=${lat}&lon=${lng}&units=metric&appid=${apiKey}`;
-    const response = await fetch(forecastUrl);
-    const data = await response.json();
-
-    if (!data.list) return null;
-
-    // Extract daily weather summaries
-    const dailyForecast = [];
-    const processedDates = new Set();
-
-    for (const item of data.list) {
-      const date = item.dt_txt.split(' ')[0];
-      const hour = parseInt(item.dt_txt.split(' ')[1].split(':')[0]);
-
-      if (!processedDates.has(date) && (hour === 12 || hour === 15)) {
-        processedDates.add(date);
-        dailyForecast.push({
-          date,
-          temp: Math.round(item.main.temp),
-          tempMin: Math.round(item.main.temp_min),
-          tempMax: Math.round(item.main.temp_max),
-          condition: item.weather[0].main,
-          description: item.weather[0].description,
-          humidity: item.main.humidity,
-          windSpeed: Math.round(item.wind.speed * 3.6)
-        });
-      }
-
-      if (dailyForecast.length >= 7) break;
-    }
-
-    return dailyForecast;
-  } catch (error) {
-    console.error('Weather fetch error:', error);
-    return null;
-  }
-}
 
 // Extract activities from itinerary
 function extractActivities(itinerary) {
@@ -87,28 +46,9 @@ function extractActivities(itinerary) {
 }
 
 // AI Smart Packing Advisor endpoint
-router.post('/optimize', authenticateToken, async (req, res) => {
+router.post('/optimize', authenticateToken, requireTripRole('viewer'), async (req, res) => {
   try {
-    const { tripId } = req.body;
-
-    if (!tripId) {
-      return res.status(400).json({ error: 'Trip ID is required' });
-    }
-
-    // Get trip details
-    const trip = await prisma.plannedTrip.findFirst({
-      where: {
-        id: tripId,
-        OR: [
-          { userId: req.userId },
-          { collaborators: { some: { userId: req.userId, status: 'accepted' } } }
-        ]
-      }
-    });
-
-    if (!trip) {
-      return res.status(404).json({ error: 'Trip not found' });
-    }
+    const trip = req.trip;
 
     // Get user profile for personalization
     const profile = await prisma.userProfile.findUnique({
@@ -117,31 +57,56 @@ router.post('/optimize', authenticateToken, async (req, res) => {
 
     // Get weather forecast if coordinates available
     let weatherForecast = null;
-    if (trip.destinationLat && trip.destinationLng) {
-      weatherForecast = await getWeatherForecast(trip.destinationLat, trip.destinationLng);
+    if (trip.destinationLat != null && trip.destinationLng != null) {
+      weatherForecast = await getDailyForecast(trip.destinationLat, trip.destinationLng);
+    }
+
+    // With trip dates, use the forecast for the actual travel days; otherwise
+    // fall back to the next few days as a rough guide
+    let tripForecast;
+    let travelDates = null;
+    if (trip.startDate) {
+      travelDates = {
+        startDate: toDateString(trip.startDate),
+        endDate: toDateString(tripEndDate(trip.startDate, trip.days))
+      };
+      tripForecast = matchForecastToTrip(weatherForecast, trip)
+        .filter(d => d.forecast)
+        .map(d => ({ day: d.day, ...d.forecast }));
+    } else {
+      tripForecast = (weatherForecast || []).slice(0, trip.days).map((f, i) => ({ day: i + 1, ...f }));
     }
 
     // Extract planned activities from itinerary
     const activities = extractActivities(trip.itinerary);
 
     // Prepare weather context for AI
-    const weatherContext = weatherForecast && weatherForecast.length > 0
-      ? `
+    const datesContext = travelDates
+      ? `TRAVEL DATES: ${travelDates.startDate} to ${travelDates.endDate}`
+      : 'TRAVEL DATES: Not set';
+
+    let weatherContext;
+    if (tripForecast.length > 0) {
+      const missingDays = travelDates ? trip.days - tripForecast.length : 0;
+      weatherContext = `
         WEATHER FORECAST:
-        ${weatherForecast.slice(0, trip.days).map((day, i) => 
-          `Day ${i + 1}: ${day.temp}°C (${day.tempMin}°C - ${day.tempMax}°C), ${day.condition} (${day.description}), Humidity: ${day.humidity}%, Wind: ${day.windSpeed} km/h`
+        ${tripForecast.map(day =>
+          `Day ${day.day} (${day.date}): ${day.temp}°C (${day.tempMin}°C - ${day.tempMax}°C), ${day.condition} (${day.description}), Humidity: ${day.humidity}%, Wind: ${day.windSpeed} km/h`
         ).join('\n')}
-        
+        ${missingDays > 0 ? `No forecast yet for the other ${missingDays} day(s) - use typical conditions for those dates.` : ''}
+
         Weather Summary:
-        - Average Temperature: ${Math.round(weatherForecast.reduce((sum, d) => sum + d.temp, 0) / weatherForecast.length)}°C
-        - Conditions: ${[...new Set(weatherForecast.map(d => d.condition))].join(', ')}
-        - Rain Expected: ${weatherForecast.some(d => ['Rain', 'Drizzle', 'Thunderstorm'].includes(d.condition)) ? 'Yes' : 'No'}
-      `
-      : 'Weather forecast unavailable - suggest items for typical conditions at this destination.';
+        - Average Temperature: ${Math.round(tripForecast.reduce((sum, d) => sum + d.temp, 0) / tripForecast.length)}°C
+        - Conditions: ${[...new Set(tripForecast.map(d => d.condition))].join(', ')}
+        - Rain Expected: ${tripForecast.some(d => ['Rain', 'Drizzle', 'Thunderstorm'].includes(d.condition)) ? 'Yes' : 'No'}
+      `;
+    } else if (travelDates) {
+      weatherContext = `Travel dates are outside the forecast window - suggest items for typical conditions at this destination between ${travelDates.startDate} and ${travelDates.endDate}.`;
+    } else {
+      weatherContext = 'Weather forecast unavailable - suggest items for typical conditions at this destination.';
+    }
 
     // Generate AI packing suggestions
-    const ai = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY });
-
     const systemInstruction = `
       You are an expert travel packing advisor with extensive knowledge of destinations worldwide.
       Your role is to generate highly personalized, practical packing lists based on:
@@ -160,6 +125,7 @@ router.post('/optimize', authenticateToken, async (req, res) => {
       - Destination: ${trip.destinationName}
       - Duration: ${trip.days} days
       - Starting from: ${trip.startLocation}
+      - ${datesContext}
       
       ${weatherContext}
       
@@ -205,20 +171,18 @@ router.post('/optimize', authenticateToken, async (req, res) => {
       8. Avoid items that are already in the current packing list
     `;
 
-    const response = await ai.models.generateContent({
-      model: MODEL_NAME,
+    const response = await generate(AI_FEATURES.PACKING, {
       contents: prompt,
       config: {
         systemInstruction,
         responseMimeType: 'application/json',
       },
+      validate: parseJson
     });
 
     let result;
     try {
-      const text = response.text || '';
-      const cleanedText = text.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-      result = JSON.parse(cleanedText);
+      result = parseJson(response.text);
     } catch (parseError) {
       console.error('Failed to parse AI response:', parseError);
       return res.status(500).json({ error: 'Failed to generate packing suggestions' });
@@ -246,11 +210,13 @@ router.post('/optimize', authenticateToken, async (req, res) => {
       tripInfo: {
         destination: trip.destinationName,
         days: trip.days,
+        ...travelDates,
         activities: activities
       },
-      weather: weatherForecast ? {
+      weather: tripForecast.length > 0 ? {
         available: true,
-        forecast: weatherForecast.slice(0, trip.days)
+        matchedToTripDates: !!travelDates,
+        forecast: tripForecast
       } : {
         available: false
       }
@@ -262,24 +228,19 @@ router.post('/optimize', authenticateToken, async (req, res) => {
 });
 
 // Apply AI suggestions to trip packing list
-router.post('/apply', authenticateToken, async (req, res) => {
+router.post('/apply', authenticateToken, requireTripRole('editor'), async (req, res) => {
   try {
-    const { tripId, items, mode } = req.body;
+    const { items, mode } = req.body;
+    const trip = req.trip;
 
-    if (!tripId || !items || !Array.isArray(items)) {
-      return res.status(400).json({ error: 'Trip ID and items array are required' });
+    if (!items || !Array.isArray(items)) {
+      return res.status(400).json({ error: 'Items array is required' });
     }
 
-    // Verify trip ownership
-    const trip = await prisma.plannedTrip.findFirst({
-      where: {
-        id: tripId,
-        userId: req.userId
-      }
-    });
-
-    if (!trip) {
-      return res.status(404).json({ error: 'Trip not found' });
+    // Replacing the whole checklist must be based on the version the client saw
+    const { version, status: versionStatus, error: versionError } = mode === 'replace' ? requiredVersion(req) : expectedVersion(req);
+    if (versionError) {
+      return res.status(versionStatus || 400).json({ error: versionError });
     }
 
     let newChecklist;
@@ -310,9 +271,10 @@ router.post('/apply', authenticateToken, async (req, res) => {
       newChecklist = [...existingItems, ...newItems];
     }
 
-    const updatedTrip = await prisma.plannedTrip.update({
-      where: { id: tripId },
-      data: { checklist: newChecklist }
+    const updatedTrip = await updateTripPlan(trip, { checklist: newChecklist }, {
+      authorId: req.userId,
+      source: REVISION_SOURCES.SMART_PACKING,
+      expectedVersion: version
     });
 
     res.json({
@@ -320,9 +282,13 @@ router.post('/apply', authenticateToken, async (req, res) => {
         ? 'Packing list replaced with AI suggestions'
         : 'AI suggestions merged with existing list',
       checklist: updatedTrip.checklist,
+      version: updatedTrip.version,
       itemsAdded: mode === 'replace' ? newChecklist.length : newChecklist.length - (trip.checklist?.length || 0)
     });
   } catch (error) {
+    if (error instanceof PlanConflictError) {
+      return res.status(409).json(await planConflictBody(req.trip.id, error));
+    }
     console.error('Apply packing suggestions error:', error);
     res.status(500).json({ error: 'Failed to apply packing suggestions' });
   }
@@ -1,10 +1,10 @@
 import express from 'express';
-import { GoogleGenAI } from '@google/genai';
 import prisma from '../lib/prisma.js';
 import { authenticateToken } from '../middleware/auth.js';
+import { structureDestinations } from '../lib/destinations.js';
+import { generate, parseJson, AI_FEATURES } from '../lib/ai.js';
 
 const router = express.Router();
-const MODEL_NAME = 'gemini-2.5-flash';
 
 // Generate trip recommendations
 router.post('/generate', authenticateToken, async (req, res) => {
@@ -25,8 +25,6 @@ router.post('/generate', authenticateToken, async (req, res) => {
     }
 
     // Generate recommendations with Gemini
-    const ai = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY });
-
     const systemInstruction = `
       You are WanderGenius, a premium AI travel strategist.
       
@@ -81,13 +79,12 @@ router.post('/generate', authenticateToken, async (req, res) => {
       };
     }
 
-    const response = await ai.models.generateContent({
-      model: MODEL_NAME,
+    const response = await generate(AI_FEATURES.TRIPS, {
       contents: prompt,
       config: config,
     });
 
-    const text = response.text || "";
+    const text = response.text;
     const groundingChunks = response.candidates?.[0]?.groundingMetadata?.groundingChunks || [];
 
     // Log full grounding metadata for debugging
@@ -134,6 +131,17 @@ router.post('/generate', authenticateToken, async (req, res) => {
       return null;
     }
 
+    // Structured destinations for clients; the Markdown stays for older ones, so a
+    // failure here doesn't fail the request
+    let destinations = [];
+    let destinationsError;
+    try {
+      destinations = await structureDestinations({ markdown: text, groundingChunks: validGroundingChunks });
+    } catch (structureError) {
+      console.error('Structure destinations error:', structureError);
+      destinationsError = 'Could not extract structured destinations';
+    }
+
     // Save trip to database
     const trip = await prisma.trip.create({
       data: {
@@ -143,6 +151,7 @@ router.post('/generate', authenticateToken, async (req, res) => {
         days,
         travelMode,
         recommendations: text,
+        destinations,
         groundingChunks: validGroundingChunks
       }
     });
@@ -150,6 +159,8 @@ router.post('/generate', authenticateToken, async (req, res) => {
     res.status(201).json({
       tripId: trip.id,
       text,
+      destinations,
+      destinationsError,
       groundingChunks: validGroundingChunks
     });
   } catch (error) {
@@ -269,8 +280,6 @@ router.get('/suggestions', authenticateToken, async (req, res) => {
     }));
 
     // Use AI to generate personalized suggestions based on review patterns
-    const ai = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY });
-
     const systemInstruction = `
       You are WanderGenius, a premium AI travel strategist specializing in personalized trip recommendations.
       
@@ -322,25 +331,17 @@ router.get('/suggestions', authenticateToken, async (req, res) => {
       Return ONLY valid JSON, no markdown or additional text.
     `;
 
-    const response = await ai.models.generateContent({
-      model: MODEL_NAME,
+    const response = await generate(AI_FEATURES.SUGGESTIONS, {
       contents: prompt,
       config: {
         systemInstruction: systemInstruction,
       },
+      validate: parseJson
     });
 
     let suggestions = [];
     try {
-      const text = response.text || '';
-      // Try to extract JSON from the response
-      const jsonMatch = text.match(/\[[\s\S]*\]/);
-      if (jsonMatch) {
-        suggestions = JSON.parse(jsonMatch[0]);
-      } else {
-        // Fallback: parse the entire response as JSON
-        suggestions = JSON.parse(text);
-      }
+      suggestions = parseJson(response.text);
     } catch (parseError) {
       console.error('Failed to parse AI suggestions:', parseError);
       // Fallback suggestions based on review analysis
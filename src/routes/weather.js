@@ -1,4 +1,8 @@
 import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { requireTripRole } from '../middleware/tripAccess.js';
+import { getDailyForecast, matchForecastToTrip } from '../lib/weather.js';
+import { toDateString, tripEndDate } from '../lib/tripDates.js';
 
 const router = express.Router();
 
@@ -26,38 +30,8 @@ router.get('/', async (req, res) => {
       return res.status(500).json({ error: currentData.message || 'Failed to fetch weather' });
     }
 
-    // Fetch 5-day forecast
-    const forecastUrl = `https://api.openweathermap.org/data/2.5/forecast?lat=${lat}&lon=${lng}&units=metric&appid=${apiKey}`;
-    const forecastResponse = await fetch(forecastUrl);
-    const forecastData = await forecastResponse.json();
-
-    // Process forecast to get daily summaries (one per day at noon)
-    const dailyForecast = [];
-    const processedDates = new Set();
-    
-    if (forecastData.list) {
-      for (const item of forecastData.list) {
-        const date = item.dt_txt.split(' ')[0];
-        const hour = parseInt(item.dt_txt.split(' ')[1].split(':')[0]);
-        
-        // Pick the noon reading for each day, or closest available
-        if (!processedDates.has(date) && (hour === 12 || hour === 15)) {
-          processedDates.add(date);
-          dailyForecast.push({
-            date: date,
-            dayName: new Date(date).toLocaleDateString('en-US', { weekday: 'short' }),
-            temp: Math.round(item.main.temp),
-            tempMin: Math.round(item.main.temp_min),
-            tempMax: Math.round(item.main.temp_max),
-            condition: item.weather[0].main,
-            description: item.weather[0].description,
-            icon: item.weather[0].icon
-          });
-        }
-        
-        if (dailyForecast.length >= 5) break;
-      }
-    }
+    // Daily summaries from the 5-day forecast
+    const dailyForecast = ((await getDailyForecast(lat, lng)) || []).slice(0, 5);
 
     res.json({
       current: {
@@ -80,4 +54,32 @@ router.get('/', async (req, res) => {
   }
 });
 
+// Forecast for each day of a trip, matched by the trip's calendar dates
+router.get('/trip/:tripId', authenticateToken, requireTripRole('viewer'), async (req, res) => {
+  try {
+    const trip = req.trip;
+
+    if (trip.destinationLat == null || trip.destinationLng == null) {
+      return res.status(400).json({ error: 'Trip has no destination coordinates' });
+    }
+    if (!trip.startDate) {
+      return res.status(400).json({ error: 'Set the trip dates to get a forecast for the trip' });
+    }
+
+    const forecast = await getDailyForecast(trip.destinationLat, trip.destinationLng);
+    const days = matchForecastToTrip(forecast, trip);
+
+    res.json({
+      tripId: trip.id,
+      startDate: toDateString(trip.startDate),
+      endDate: toDateString(tripEndDate(trip.startDate, trip.days)),
+      forecastAvailable: days.some(d => d.forecast),
+      days
+    });
+  } catch (error) {
+    console.error('Trip weather error:', error);
+    res.status(500).json({ error: 'Failed to fetch trip weather' });
+  }
+});
+
 export default router;
@@ -0,0 +1,119 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setAiProvider } from '../src/lib/ai.js';
+import { estimateTripCost, EstimateError } from '../src/lib/budgetEstimator.js';
+
+// Stub Gemini client: answers every request with `answer` and counts the calls
+let answer = '';
+let calls = 0;
+
+beforeEach(() => {
+  calls = 0;
+  setAiProvider({
+    name: 'stub',
+    async generateContent() {
+      calls++;
+      return { text: typeof answer === 'string' ? answer : JSON.stringify(answer) };
+    }
+  });
+});
+
+// Each test prices a different trip, so cached answers from other tests never apply
+let tripCount = 0;
+const estimate = (days = 2) => estimateTripCost({
+  trip: { destinationName: `Testville ${++tripCount}`, days, startLocation: 'Home', itinerary: [] },
+  travelStyle: 'mid-range',
+  currency: 'EUR'
+});
+
+test('coerces numeric strings, clamps negatives and drops ranges that are not numbers', async () => {
+  answer = {
+    perDay: [
+      {
+        day: 1,
+        categories: {
+          Accommodation: { low: '80', high: '120.456' },
+          Food: { low: -10, high: 40 },
+          Activities: { low: 'free', high: 20 }
+        }
+      },
+      { day: 2, categories: { Food: { low: 30, high: 50 } } }
+    ]
+  };
+
+  const result = await estimate();
+
+  assert.deepEqual(result.perDay[0].categories, {
+    Accommodation: { low: 80, high: 120.46 },
+    Food: { low: 0, high: 40 }
+  });
+  assert.equal(result.perDay[0].low, 80);
+  assert.equal(result.perDay[0].high, 160.46);
+  assert.equal(result.currency, 'EUR');
+});
+
+test('sorts low and high when the model swaps them', async () => {
+  answer = {
+    perDay: [{ day: 1, categories: { Food: { low: 60, high: 20 } } }],
+    oneTime: [{ category: 'Transportation', description: 'Train', low: 300, high: 100 }]
+  };
+
+  const result = await estimate(1);
+
+  assert.deepEqual(result.perDay[0].categories.Food, { low: 20, high: 60 });
+  assert.deepEqual(result.oneTime, [{ category: 'Transportation', description: 'Train', low: 100, high: 300 }]);
+  assert.deepEqual(result.total, { low: 120, high: 360, mid: 240 });
+});
+
+test('maps unknown categories to Other and matches known ones case-insensitively', async () => {
+  answer = {
+    perDay: [{
+      day: 1,
+      categories: {
+        food: { low: 10, high: 20 },
+        Souvenirs: { low: 5, high: 15 },
+        Nightlife: { low: 20, high: 40 }
+      }
+    }]
+  };
+
+  const result = await estimate(1);
+
+  assert.deepEqual(result.perDay[0].categories, {
+    Food: { low: 10, high: 20 },
+    Other: { low: 25, high: 55 }
+  });
+  assert.deepEqual(result.byCategory.map(c => c.category), ['Other', 'Food']);
+});
+
+test('fills in missing days and rebuilds totals from the line items', async () => {
+  answer = { perDay: [{ day: 2, categories: { Food: { low: 10, high: 20 } } }] };
+
+  const result = await estimate(3);
+
+  assert.deepEqual(result.perDay.map(d => [d.day, d.low, d.high]), [[1, 0, 0], [2, 10, 20], [3, 0, 0]]);
+  assert.deepEqual(result.total, { low: 10, high: 20, mid: 15 });
+});
+
+test('throws EstimateError for an answer that is not JSON', async () => {
+  answer = 'not json at all';
+  await assert.rejects(estimate(), EstimateError);
+});
+
+test('throws EstimateError when perDay is missing or there are no costs', async () => {
+  answer = { oneTime: [] };
+  await assert.rejects(estimate(), (error) => error instanceof EstimateError && /perDay/.test(error.message));
+
+  answer = { perDay: [{ day: 1, categories: { Food: { low: 'x', high: 'y' } } }] };
+  await assert.rejects(estimate(1), EstimateError);
+});
+
+test('does not cache a rejected answer, so asking again calls the model', async () => {
+  answer = 'not json at all';
+  const trip = { destinationName: 'Retryville', days: 1, startLocation: 'Home', itinerary: [] };
+
+  await assert.rejects(estimateTripCost({ trip, currency: 'EUR' }), EstimateError);
+  await assert.rejects(estimateTripCost({ trip, currency: 'EUR' }), EstimateError);
+
+  assert.equal(calls, 2);
+});
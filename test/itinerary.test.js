@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createItineraryDayParser } from '../src/lib/itinerary.js';
+import { generateStream, setAiProvider, parseJson } from '../src/lib/ai.js';
+import { createFakeProvider } from '../src/lib/aiFake.js';
+
+// Feed `pieces` to a new parser; returns the days in the order they completed and, for each
+// day, the index of the piece that completed it
+function parsePieces(pieces) {
+  const parser = createItineraryDayParser();
+  const days = [];
+  const completedAt = [];
+  pieces.forEach((piece, index) => {
+    parser.push(piece).forEach(day => {
+      days.push(day);
+      completedAt.push(index);
+    });
+  });
+  return { days, completedAt };
+}
+
+// Split `text` into pieces at the given character positions
+function splitAt(text, positions) {
+  const cuts = [0, ...[...positions].sort((a, b) => a - b), text.length];
+  return cuts.slice(1).map((end, i) => text.slice(cuts[i], end));
+}
+
+// Strings full of characters that would confuse a scanner that ignored strings and escapes
+const TRICKY_DAYS = [
+  {
+    day: 1,
+    title: 'Braces {like} [these] and a "quoted" word',
+    activities: [{ time: '09:00', activity: 'Path C:\\Users\\trip\\', description: 'Ends in a backslash \\' }]
+  },
+  {
+    day: 2,
+    title: 'Unicode \u00e9\u00e8 and \u2708\ufe0f',
+    activities: [{ time: '10:00', activity: 'Say "}" then "]"', location: 'Escapes \\" inside' }]
+  }
+];
+const TRICKY = JSON.stringify({
+  itinerary: TRICKY_DAYS,
+  checklist: [{ id: 1, task: 'Adapter {EU}', category: 'gear', completed: false }]
+});
+
+test('returns each day as soon as its closing brace arrives', () => {
+  const text = JSON.stringify({ itinerary: [{ day: 1, activities: [] }, { day: 2, activities: [] }] });
+  const endOfDay1 = text.indexOf('}') + 1;
+  const startOfDay2 = text.indexOf('{', endOfDay1) + 3;
+
+  // Pieces: up to day 1's closing brace, the brace with the start of day 2, the rest of day 2
+  const { days, completedAt } = parsePieces(splitAt(text, [endOfDay1 - 1, startOfDay2]));
+
+  assert.deepEqual(days.map(d => d.day), [1, 2]);
+  assert.deepEqual(completedAt, [1, 2]);
+});
+
+test('gives the same days for every split of a response with tricky strings', () => {
+  for (let at = 1; at < TRICKY.length; at++) {
+    const { days } = parsePieces(splitAt(TRICKY, [at]));
+    assert.deepEqual(days, TRICKY_DAYS, `split at ${at}`);
+  }
+});
+
+test('handles pieces split mid-string and mid-escape', () => {
+  const midEscape = TRICKY.indexOf('\\\\') + 1; // between the two characters of an escaped backslash
+  const midQuoteEscape = TRICKY.indexOf('\\"') + 1; // between \ and "
+  const midString = TRICKY.indexOf('Braces') + 3;
+
+  const { days } = parsePieces(splitAt(TRICKY, [midString, midEscape, midQuoteEscape]));
+
+  assert.deepEqual(days, TRICKY_DAYS);
+});
+
+test('works one character at a time', () => {
+  const { days } = parsePieces([...TRICKY]);
+  assert.deepEqual(days, TRICKY_DAYS);
+});
+
+test('waits for the "itinerary" key even when it is split across pieces', () => {
+  const text = `{"summary": "A {short} trip", "itin${'erary" :  [ {"day": 1}, {"day": 2} ] }'}`;
+  const { days } = parsePieces(splitAt(text, [text.indexOf('itin') + 4, text.indexOf('[') + 1]));
+
+  assert.deepEqual(days, [{ day: 1 }, { day: 2 }]);
+});
+
+test('ignores the checklist and anything else after the itinerary array', () => {
+  const parser = createItineraryDayParser();
+
+  assert.deepEqual(parser.push(TRICKY), TRICKY_DAYS);
+  assert.deepEqual(parser.push(',"extra": [{"day": 3}]}'), []);
+});
+
+test('skips entries that are not day objects', () => {
+  const { days } = parsePieces(['{"itinerary": [[1, 2], {"day": 1}, "x", {"day": 2}]}']);
+  assert.deepEqual(days, [{ day: 1 }, { day: 2 }]);
+});
+
+test('streams the same days as the full parse of a fake provider answer', async () => {
+  setAiProvider(createFakeProvider());
+  const prompt = 'Create a detailed 4-day travel itinerary for visiting Lisbon.\n';
+
+  const parser = createItineraryDayParser();
+  const streamed = [];
+  let text = '';
+  let pieces = 0;
+  for await (const piece of generateStream('itinerary', { contents: prompt, cache: false })) {
+    text += piece;
+    pieces += 1;
+    streamed.push(...parser.push(piece));
+  }
+
+  const result = parseJson(text);
+  assert.ok(pieces > 1, 'the fake provider streams in several pieces');
+  assert.equal(streamed.length, 4);
+  assert.deepEqual(streamed, result.itinerary);
+  assert.ok(result.checklist.length > 0);
+});